@@ -0,0 +1,117 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { Generator } from './utils/generator.js';
+import { Prompter } from './utils/prompter.js';
+import { FileLayer } from './utils/file-layer.js';
+import { Ledger } from './utils/ledger.js';
+import { Logger } from './utils/logger.js';
+import { WorkEaseError } from './utils/errors.js';
+import { Plugins } from './utils/plugins.js';
+import { TemplateEngine } from './utils/template-engine.js';
+import { ProjectConfig } from './utils/project-config.js';
+
+// Node API of the generators (`import { generateModel } from 'workease-cli'`).
+// Every function takes the same options as the matching CLI flags (lists may be
+// arrays) and settings { cwd, dryRun, log, interactive, strictTemplates }, runs
+// the generator against the project in `cwd` and resolves to the files it
+// produced: [{ path, absolutePath, action, content }]. Nothing is prompted
+// (anything not passed takes its default) or printed unless asked for with
+// `interactive` or `log`. Failures, and options the generator doesn't take,
+// reject with a WorkEaseError.
+
+// Generators share the file layer, prompter and logger state, so calls are
+// run one at a time
+let queue = Promise.resolve();
+
+function enqueue(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+async function run(ledgerEntry, generate, { cwd = process.cwd(), dryRun = false, log = false, interactive = false, strictTemplates = true } = {}) {
+  const root = path.resolve(cwd);
+
+  if (!await fs.pathExists(path.join(root, 'package.json'))) {
+    throw WorkEaseError.notAProject(`No package.json found in ${root}`);
+  }
+
+  FileLayer.reset({ dryRun, root });
+  Logger.reset({ silent: !log, command: ledgerEntry.command });
+  Prompter.interactive = interactive;
+  Prompter.recorded = {};
+  Prompter.replayed = null;
+  Prompter.uncovered = [];
+  const config = await ProjectConfig.load(root).catch(() => ({}));
+  TemplateEngine.strict = strictTemplates && config.strictTemplates !== false;
+
+  try {
+    await generate();
+
+    let changes = FileLayer.changes();
+    if (!dryRun) {
+      Ledger.pending = ledgerEntry.resolve();
+      await Ledger.record(changes);
+      changes = await FileLayer.commit();
+    }
+
+    // The history entry is bookkeeping, not something the generator produced
+    const historyPath = FileLayer.resolve(Ledger.historyPath);
+    return changes.filter(change => change.absolutePath !== historyPath).map(change => ({
+      path: change.path.split(path.sep).join('/'),
+      absolutePath: change.absolutePath,
+      action: change.type,
+      content: change.content
+    }));
+  } catch (error) {
+    FileLayer.discard();
+    throw error;
+  } finally {
+    Ledger.pending = null;
+    Prompter.interactive = true;
+    Logger.reset();
+  }
+}
+
+// Run any generator type (or alias) of `workease generate`
+export function generate(type, options = {}, settings = {}) {
+  return enqueue(async () => {
+    // Generator types added by the project's plugins, with the config as it is on disk now
+    FileLayer.reset({ root: settings.cwd });
+    await Plugins.load(path.resolve(settings.cwd || process.cwd()));
+    const [failure] = Plugins.failures.splice(0);
+    if (failure) {
+      throw WorkEaseError.invalidInput(`Plugin ${failure.plugin} could not be loaded: ${failure.message}`);
+    }
+
+    const generatorType = Generator.resolveType(type);
+
+    return run({
+      command: 'generate',
+      resolve: () => ({
+        command: 'generate',
+        type: generatorType,
+        name: options.name || Prompter.recorded[Generator.types[generatorType].nameAnswer] || null
+      })
+    }, () => Generator.generate(generatorType, options), settings);
+  });
+}
+
+export const generateComponent = (options, settings) => generate('component', options, settings);
+export const generatePage = (options, settings) => generate('page', options, settings);
+export const generateApiRoute = (options, settings) => generate('api', options, settings);
+export const generateModel = (options, settings) => generate('model', options, settings);
+export const generateDataTable = (options, settings) => generate('table', options, settings);
+export const generateForm = (options, settings) => generate('form', options, settings);
+export const generateDashboard = (options, settings) => generate('dashboard', options, settings);
+export const generateResource = (options, settings) => generate('resource', options, settings);
+
+// Same as `workease auth` (options: provider, database)
+export function generateAuth(options = {}, settings = {}) {
+  return enqueue(() => run({
+    command: 'auth',
+    resolve: () => ({ command: 'auth', type: 'auth', name: Prompter.recorded.provider })
+  }, () => Generator.generateAuthSystem(options), settings));
+}
+
+export { WorkEaseError };
@@ -14,7 +14,6 @@
  */
 
 import { Command } from 'commander';
-import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs-extra';
@@ -22,161 +21,387 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { execa } from 'execa';
 import { Generator } from './utils/generator.js';
+import { TemplateEngine } from './utils/template-engine.js';
+import { Prompter } from './utils/prompter.js';
+import { FileLayer } from './utils/file-layer.js';
+import { Ledger } from './utils/ledger.js';
+import { Logger } from './utils/logger.js';
+import { WorkEaseError } from './utils/errors.js';
+import { Plugins } from './utils/plugins.js';
+import { ProjectConfig } from './utils/project-config.js';
+import { TemplateCheck } from './utils/template-check.js';
+import { ProjectTemplate } from './utils/project-template.js';
+import { PackageManager } from './utils/package-manager.js';
+import { Doctor } from './utils/doctor.js';
+import { Requirements } from './utils/requirements.js';
+import { UiLibrary } from './utils/ui-library.js';
+import { Safety } from './utils/safety.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const program = new Command();
 
-// Safety validation function
-async function validateProjectSafety(projectPath) {
-  try {
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
-      const packageJson = await fs.readJSON(packageJsonPath);
-      
-      if (packageJson.scripts && packageJson.scripts.postinstall) {
-        if (packageJson.scripts.postinstall.includes('prisma generate')) {
-          console.log(chalk.red('⚠️  DANGER: Unsafe postinstall script detected!'));
-          console.log(chalk.yellow('This could cause file system corruption. Removing unsafe script...'));
-          
-          delete packageJson.scripts.postinstall;
-          await fs.writeJSON(packageJsonPath, packageJson, { spaces: 2 });
-          
-          console.log(chalk.green('✅ Unsafe script removed. Project is now safe.'));
-        }
-      }
-    }
-  } catch (error) {
-    console.log(chalk.yellow('Warning: Could not validate project safety:', error.message));
+// Report why a command failed and exit with the code of the error's category
+function reportError(label, error) {
+  Logger.error(chalk.red(`❌ ${label}:`), error.message);
+  if (error.hint) {
+    Logger.log(chalk.yellow(`💡 ${error.hint}`));
+  }
+  process.exitCode = WorkEaseError.exitCode(error);
+}
+
+// Commands that change an existing project run from its root
+function assertProjectRoot() {
+  if (!fs.existsSync(path.join(process.cwd(), 'package.json'))) {
+    throw WorkEaseError.notAProject();
+  }
+}
+
+// Replay answers saved by a previous run (--answers <file>)
+async function loadAnswersFile(command, options) {
+  if (options.answers) {
+    await Prompter.loadAnswers(options.answers, command);
+    Logger.log(chalk.blue(`📼 Replaying answers from ${options.answers}`));
   }
 }
 
-console.log(chalk.blue.bold('🚀 WorkEase CLI - Your productivity toolkit!'));
+// Report replay coverage and record the run's answers (--save-answers <file>)
+async function saveAnswersFile(command, options) {
+  if (options.answers) {
+    if (Prompter.uncovered.length > 0) {
+      Logger.warn(`⚠️  ${options.answers} did not cover ${Prompter.uncovered.length} question(s):`, Prompter.uncovered.map(question => {
+        const message = typeof question.message === 'string' ? question.message : question.name;
+        return `${question.name}: ${message}`;
+      }));
+    }
+
+    const unused = Prompter.unusedAnswers();
+    if (unused.length > 0) {
+      Logger.warn(`⚠️  Unused answers in ${options.answers}: ${unused.join(', ')}`);
+    }
+  }
+
+  if (options.saveAnswers) {
+    const answersPath = await Prompter.saveAnswers(options.saveAnswers, command);
+    Logger.log(chalk.green(`💾 Answers saved to ${answersPath}`));
+  }
+}
 
 program
   .name('workease')
   .description('CLI tool for WorkEase framework')
   .version('1.0.0')
   .option('--dry-run', 'Run in simulation mode (no actual file operations)', false)
-  .option('--verbose', 'Show detailed output for debugging', false);
+  .option('--verbose', 'Show detailed output for debugging', false)
+  .option('--json', 'Print one JSON result per command instead of text (never prompts)', false)
+  .option('--no-strict-templates', 'Render templates even when placeholders are unresolved or variables unused')
+  // Unknown commands, options and missing arguments are invalid input too
+  .exitOverride(error => process.exit(error.exitCode && WorkEaseError.exitCodes['invalid-input']));
+
+// Every command reads and writes project files through the file layer. Its
+// staged changes are committed together once the command succeeds (commands
+// discard them on failure), or only reported in --dry-run mode.
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const { dryRun, json, strictTemplates } = program.opts();
+
+  Logger.reset({ json, command: actionCommand.name() });
+  Logger.result.dryRun = dryRun;
+  Prompter.interactive = !json;
+  FileLayer.reset({ dryRun });
+  // A broken config file is reported by the plugin loader
+  const config = await ProjectConfig.load().catch(() => ({}));
+  TemplateEngine.strict = strictTemplates && config.strictTemplates !== false;
+
+  Logger.log(chalk.blue.bold('🚀 WorkEase CLI - Your productivity toolkit!'));
+  Plugins.reportFailures();
+  if (FileLayer.dryRun) {
+    Logger.log(chalk.yellow('🧪 DRY RUN MODE - No actual files will be created'));
+  }
+});
+
+program.hook('postAction', async (thisCommand, actionCommand) => {
+  // Packages a generator added to package.json for the code it wrote
+  const { skipInstall } = actionCommand.opts();
+  const install = Requirements.added.length > 0 && !process.exitCode;
+
+  if (FileLayer.dryRun) {
+    if (Logger.json) {
+      Logger.printResult(FileLayer.changes());
+    } else if (!FileLayer.virtual) {
+      FileLayer.printDryRunReport();
+      if (install && !skipInstall) {
+        Logger.log(chalk.gray(`   Would run: ${PackageManager.install(await PackageManager.resolve())}`));
+      }
+    }
+    return;
+  }
+
+  try {
+    await Ledger.record(FileLayer.changes());
+    await FileLayer.commit();
+    if (install) await installAddedPackages(skipInstall);
+  } catch (error) {
+    reportError('Could not write files', error);
+  }
+
+  if (Logger.json) {
+    Logger.printResult(FileLayer.committed);
+  }
+});
 
 program
   .command('init')
-  .argument('[name]', 'project name')
-  .option('-t, --template <template>', 'project template', 'default')
+  .argument('[name]', 'project name, or . for the current directory')
+  .option('-t, --template <template>', 'project template: a built-in name, a template directory or an installed package', 'default')
+  .option('--pm <name>', 'package manager: npm, pnpm, yarn or bun (detected from lockfiles and the invoking package manager by default)')
+  .option('--skip-install', 'create the project without installing dependencies')
+  .option('--no-git', 'don\'t initialize a git repository')
+  .option('--merge', 'add the missing template files to an existing directory, keeping the files it has')
+  .option('--force', 'add the template files to an existing directory, overwriting the files it has')
+  .option('--answers <file>', 'replay prompt answers from a JSON file')
+  .option('--save-answers <file>', 'save this run\'s prompt answers to a JSON file')
   .description('Initialize a new WorkEase project')
   .action(async (name, options, command) => {
     const globalOptions = command.parent.opts();
     const isDryRun = globalOptions.dryRun;
     const isVerbose = globalOptions.verbose;
-    
-    if (isDryRun) {
-      console.log(chalk.yellow('🧪 DRY RUN MODE - No actual files will be created'));
-    }
+    let spinner;
     
     try {
-      let projectName = name;
-      let template = options.template;
-      
-      if (!projectName || template === 'default') {
-        const answers = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'projectName',
-            message: 'What is your project name?',
-            default: projectName || 'my-workease-app',
-            when: () => !projectName,
-            validate: (input) => {
-              if (!input.trim()) return 'Project name is required';
-              if (!/^[a-z0-9-_]+$/.test(input)) {
-                return 'Project name must contain only lowercase letters, numbers, hyphens, and underscores';
-              }
-              return true;
+      await loadAnswersFile('init', options);
+
+      const packageManager = await PackageManager.resolve(options.pm);
+
+      // The built-in templates, plus the one given by --template if it is a path or package
+      const templates = [];
+      for (const value of await ProjectTemplate.builtIn()) {
+        templates.push({ value, template: await ProjectTemplate.load(value) });
+      }
+      if (options.template !== 'default' && !templates.some(({ value }) => value === options.template)) {
+        templates.push({ value: options.template, template: await ProjectTemplate.load(options.template) });
+      }
+
+      const { projectName, template } = await Prompter.ask([
+        {
+          type: 'input',
+          name: 'projectName',
+          message: 'What is your project name?',
+          default: 'my-workease-app',
+          validate: (input) => {
+            if (!input.trim()) return 'Project name is required';
+            if (input === '.') return true;
+            if (!/^[a-z0-9-_]+$/.test(input)) {
+              return 'Project name must contain only lowercase letters, numbers, hyphens, and underscores';
             }
-          },
-          {
-            type: 'list',
-            name: 'template',
-            message: 'Choose a project template:',
-            choices: [
-              { name: '🚀 Full Stack App - Next.js + TypeScript + Tailwind + Prisma', value: 'fullstack' },
-              { name: '⚡ Frontend Only - Next.js + TypeScript + Tailwind', value: 'frontend' },
-              { name: '🔧 API Only - Next.js API routes + TypeScript', value: 'api' },
-              { name: '📊 Dashboard - Admin panel with auth and CRUD', value: 'dashboard' }
-            ],
-            when: () => template === 'default'
+            return true;
           }
-        ]);
-        
-        if (!projectName) projectName = answers.projectName;
-        if (template === 'default') template = answers.template;
-      }
+        },
+        {
+          type: 'list',
+          name: 'template',
+          message: 'Choose a project template:',
+          choices: templates.map(({ value, template }) => ({
+            name: `${template.icon} ${template.title} - ${template.description}`,
+            value
+          }))
+        }
+      ], {
+        projectName: name,
+        template: options.template === 'default' ? undefined : options.template
+      });
+
+      await saveAnswersFile('init', options);
 
-      const spinner = ora('Creating new WorkEase project...').start();
+      const projectTemplate = templates.find(({ value }) => value === template).template;
+
+      spinner = ora({
+        text: isDryRun ? 'DRY RUN: Simulating project creation...' : 'Creating new WorkEase project...',
+        isSilent: Logger.json
+      }).start();
       
-      if (isDryRun) {
-        spinner.text = 'DRY RUN: Simulating project creation...';
-        await simulateProjectCreation(projectName, template);
-        spinner.succeed(chalk.yellow('DRY RUN completed - No actual files created'));
-        return;
+      // `init .` scaffolds into the current directory, named after it
+      const projectPath = path.resolve(projectName);
+      const packageName = projectName === '.'
+        ? path.basename(projectPath).toLowerCase().replace(/[^a-z0-9-_]+/g, '-')
+        : projectName;
+
+      // An existing directory needs --merge or --force unless it is empty
+      const mode = options.force ? 'force' : options.merge ? 'merge' : 'create';
+      const existingFiles = fs.existsSync(projectPath) ? await fs.readdir(projectPath) : [];
+      if (existingFiles.length > 0 && mode === 'create') {
+        throw WorkEaseError.fileConflict(`Directory ${projectName} already exists and is not empty!`, {
+          hint: 'Pass --merge to add the missing WorkEase files, or --force to also overwrite the ones it has'
+        });
       }
-      
-      // Check if directory already exists
-      if (fs.existsSync(projectName)) {
-        spinner.fail(`Directory ${projectName} already exists!`);
-        return;
+
+      if (existingFiles.length > 0) {
+        const packageJsonPath = path.join(projectPath, 'package.json');
+        const existingPackage = fs.existsSync(packageJsonPath) ? await FileLayer.readJSON(packageJsonPath) : {};
+        const isNextProject = Boolean({ ...existingPackage.dependencies, ...existingPackage.devDependencies }.next);
+        const layout = await ProjectConfig.sourceDir(projectPath) ? '' : ', keeping its router at the root';
+        spinner.stop();
+        Logger.log(chalk.blue(isNextProject
+          ? `🔎 Found an existing Next.js project in ${projectName}, adding the WorkEase pieces it is missing${layout}`
+          : `🔎 Adding the ${projectTemplate.title} template to the existing directory ${projectName}${layout}`));
+        spinner.start();
       }
 
       // Create project directory
-      await fs.ensureDir(projectName);
+      await FileLayer.ensureDir(projectPath);
       
       spinner.text = 'Setting up project structure...';
       
       // Create project based on template
-      await createProjectFromTemplate(projectName, template);
-      
-      spinner.text = 'Installing dependencies...';
+      const conflicts = await ProjectTemplate.create(projectPath, projectTemplate, { projectName: packageName, mode });
+      if (conflicts.length > 0) {
+        spinner.stop();
+        Logger.warn(`⚠️  Kept ${conflicts.length} existing file(s), compare them with the ${projectTemplate.title} template:`,
+          conflicts.map(conflict => `${path.join(projectName, conflict.path)}: ${conflict.reason}`));
+        spinner.start();
+      }
       
-      // Install dependencies
-      await installDependencies(projectName, template);
+      // Custom templates can bring unsafe settings along, such as a postinstall
+      // script. They are reported with the project's safety rules, and an
+      // install that would run an unsafe lifecycle script is left to the user
+      const findings = await Safety.run(projectPath);
+      const unsafeInstall = findings.some(finding => finding.rule === 'lifecycle-scripts' && finding.severity === 'error');
+      if (findings.length > 0) {
+        spinner.stop();
+        Logger.warn(`⚠️  The ${projectTemplate.title} template brings ${findings.length} safety finding(s), workease check --fix fixes what it can:`);
+        printSafetyFindings(findings);
+        spinner.start();
+      }
+      const skipInstall = options.skipInstall || unsafeInstall;
+
+      if (isDryRun) {
+        spinner.succeed(chalk.yellow('DRY RUN completed - No actual files created'));
+        if (!skipInstall) {
+          Logger.log(chalk.gray(`   Would run: ${PackageManager.install(packageManager)}`));
+        } else if (unsafeInstall && !options.skipInstall) {
+          Logger.log(chalk.gray('   Would skip installing dependencies: an install script is unsafe'));
+        }
+        if (options.git && !await isInsideGitRepository(fs.existsSync(projectPath) ? projectPath : path.dirname(projectPath))) {
+          Logger.log(chalk.gray('   Would run: git init && git commit'));
+        }
+        return;
+      }
+
+      // Write the project before the install needs it
+      await FileLayer.commit();
+
+      if (unsafeInstall && !options.skipInstall) {
+        Logger.warn('⚠️  Skipped installing dependencies: an install script is unsafe, run workease check --fix first');
+      } else if (options.skipInstall) {
+        Logger.log(chalk.gray('⏭️  Skipped installing dependencies (--skip-install)'));
+      } else {
+        spinner.text = 'Installing dependencies...';
+        await installDependencies(projectName, packageManager);
+      }
+
+      // After the install, so the lockfile is part of the initial commit
+      if (options.git) {
+        spinner.text = 'Initializing git repository...';
+        await initializeGitRepository(projectName);
+      }
       
       spinner.succeed(chalk.green('Project created successfully!'));
       
-      console.log(chalk.yellow('\n📁 Next steps:'));
-      console.log(chalk.white(`   cd ${projectName}`));
+      Logger.log(chalk.yellow('\n📁 Next steps:'));
+      if (projectName !== '.') {
+        Logger.log(chalk.white(`   cd ${projectName}`));
+      }
+      if (unsafeInstall) {
+        Logger.log(chalk.white('   workease check --fix'));
+      }
+      if (skipInstall) {
+        Logger.log(chalk.white(`   ${PackageManager.install(packageManager)}`));
+      }
       
-      if (template === 'fullstack' || template === 'dashboard') {
-        console.log(chalk.blue('\n🔐 Database Setup (IMPORTANT):'));
-        console.log(chalk.white('   npx prisma generate    # Generate Prisma client'));
-        console.log(chalk.white('   npx prisma db push     # Create database tables'));
-        console.log(chalk.gray('   ⚠️  Always run these AFTER project creation, not during npm install'));
+      // Setup commands the template asks for, e.g. generating the Prisma client
+      const postSteps = projectTemplate.postSteps.map(step => ({
+        ...step,
+        command: PackageManager.command(packageManager, step.command)
+      }));
+      if (postSteps.length > 0) {
+        const width = Math.max(...postSteps.map(step => step.command.length));
+        Logger.log(chalk.blue('\n🔐 Setup (IMPORTANT):'));
+        postSteps.forEach(step => Logger.log(chalk.white(`   ${step.command.padEnd(width)}    # ${step.text}`)));
+        Logger.log(chalk.gray(`   ⚠️  Always run these AFTER project creation, not during ${PackageManager.install(packageManager)}`));
       }
       
-      console.log(chalk.yellow('\n🚀 Start Development:'));
-      console.log(chalk.white('   npm run dev'));
-      console.log(chalk.gray('\n✨ Happy coding with WorkEase!'));
+      const devCommand = PackageManager.run(packageManager, 'dev');
+      Logger.log(chalk.yellow('\n🚀 Start Development:'));
+      Logger.log(chalk.white(`   ${devCommand}`));
+      Logger.log(chalk.gray('\n✨ Happy coding with WorkEase!'));
+
+      if (Logger.json) {
+        const installCommand = PackageManager.install(packageManager);
+        Logger.nextSteps([
+          projectName !== '.' && { text: `cd ${projectName}`, command: `cd ${projectName}` },
+          unsafeInstall && { text: 'Fix the unsafe settings', command: 'workease check --fix' },
+          skipInstall && { text: 'Install dependencies', command: installCommand },
+          ...postSteps,
+          { text: 'Start development', command: devCommand }
+        ]);
+      }
       
     } catch (error) {
-      console.error(chalk.red('❌ Error creating project:'), error.message);
+      if (spinner) spinner.stop();
+      FileLayer.discard();
+      reportError('Error creating project', error);
     }
   });
 
-program
+// Generator types of the project's plugins show up in the picker and --help
+// of generate. Loading a plugin runs project code, so the other commands
+// leave them alone (check only runs their rules with --plugins)
+const [commandName, helpTopic] = process.argv.slice(2).filter(arg => !arg.startsWith('-'));
+if (['generate', 'g'].includes(commandName === 'help' ? helpTopic : commandName)) {
+  await Plugins.load(process.cwd());
+}
+
+const generateCommand = program
   .command('generate')
   .alias('g')
-  .argument('[type]', 'component type (component, page, api, model)')
+  .argument('[type]', `generator type (${Object.keys(Generator.types).join(', ')})`)
+  .argument('[name]', 'name of the component, page, route, model, dashboard or resource')
+  .option('--location <dir>', 'component: target directory')
+  .option('--path <path>', 'component: custom target path')
+  .option('--title <title>', 'page: metadata title')
+  .option('--description <text>', 'page, model, resource: description')
+  .option('--route <path>', 'page, api, resource: route path')
+  .option('--methods <list>', 'api: HTTP methods (GET,POST,PUT,DELETE)')
+  .option('--fields <list>', 'model, form, resource: fields to include (model and resource also accept name:type)')
+  .option('--features <list>', 'model, table, form, dashboard: features to generate')
+  .option('--table-name <name>', 'table: table component name')
+  .option('--columns <list>', 'table: columns to display')
+  .option('--form-type <type>', 'form: create, edit or combined')
+  .option('--widgets <list>', 'dashboard: widgets to include')
+  .option('--chart-types <list>', 'dashboard: chart types to include')
+  .option('--from <file>', 'resource: resource spec file (default: workease.resources.json/.yaml)')
+  .option('-y, --yes', 'use defaults for anything not passed as a flag', false)
+  .option('--force', 'overwrite existing files without asking', false)
+  .option('--skip-install', 'only add the packages the generated code needs to package.json')
+  .option('--answers <file>', 'replay prompt answers from a JSON file')
+  .option('--save-answers <file>', 'save this run\'s prompt answers to a JSON file')
   .description('Generate components, pages, API routes, or models')
-  .action(async (type) => {
-    // Check if we're in a WorkEase project
-    const packageJsonPath = path.join(process.cwd(), 'package.json');
-    if (!fs.existsSync(packageJsonPath)) {
-      console.error(chalk.red('❌ Not in a valid project directory. Run this command from your project root.'));
-      return;
-    }
+  .action(async (type, name, options) => {
+    let generatorType = Generator.resolveType(type);
+
+    try {
+      // Check if we're in a WorkEase project
+      assertProjectRoot();
+
+      if (generatorType && !Generator.types[generatorType]) {
+        throw WorkEaseError.invalidInput(`Unknown generator type: ${type}`, {
+          hint: `Available types: ${Object.keys(Generator.types).join(', ')}`
+        });
+      }
+
+      await loadAnswersFile('generate', options);
 
-    if (!type) {
-      const answers = await inquirer.prompt([
+      const answers = await Prompter.ask([
         {
           type: 'list',
           name: 'generateType',
@@ -188,1588 +413,684 @@ program
             { name: '🗃️ Model - Database model with CRUD operations', value: 'model' },
             { name: '📊 Data Table - List view with pagination & filtering', value: 'table' },
             { name: '📝 Form - Auto-generated forms from models', value: 'form' },
-            { name: '📈 Dashboard - Admin panel with charts & metrics', value: 'dashboard' }
+            { name: '📈 Dashboard - Admin panel with charts & metrics', value: 'dashboard' },
+            { name: '🧬 Resource - Full CRUD scaffold (model, API, table, form, pages)', value: 'resource' },
+            ...Plugins.generators().map(([value, generator]) => ({
+              name: `${generator.icon} ${generator.title}${generator.description ? ` - ${generator.description}` : ''}`,
+              value
+            }))
           ]
         }
-      ]);
-      type = answers.generateType;
+      ], { generateType: generatorType }, options);
+      generatorType = answers.generateType;
+      Generator.checkOptions(generatorType, options);
+    } catch (error) {
+      reportError('Generator error', error);
+      return;
     }
+
+    const generatorOptions = { ...options, name };
     
-    console.log(chalk.blue(`🛠️ Generating ${type}...`));
+    Logger.log(chalk.blue(`🛠️ Generating ${generatorType}...`));
     
     try {
-      switch (type.toLowerCase()) {
-        case 'component':
-        case 'comp':
-          await Generator.generateComponent();
-          break;
-        case 'page':
-          await Generator.generatePage();
-          break;
-        case 'api':
-        case 'route':
-          await Generator.generateApiRoute();
-          break;
-        case 'model':
-          await Generator.generateModel();
-          break;
-        case 'table':
-          await Generator.generateDataTable();
-          break;
-        case 'form':
-          await Generator.generateForm();
-          break;
-        case 'dashboard':
-          await Generator.generateDashboard();
-          break;
-        default:
-          console.error(chalk.red(`❌ Unknown generator type: ${type}`));
-          console.log(chalk.yellow('Available types: component, page, api, model, table, form, dashboard'));
-      }
+      await Generator.generate(generatorType, generatorOptions);
+
+      Ledger.pending = {
+        command: 'generate',
+        type: generatorType,
+        name: name || Prompter.recorded[Generator.types[generatorType].nameAnswer] || null
+      };
+
+      await saveAnswersFile('generate', options);
     } catch (error) {
-      console.error(chalk.red('❌ Generator error:'), error.message);
+      FileLayer.discard();
+      reportError('Generator error', error);
+      Logger.log(chalk.yellow('No files were changed.'));
     }
   });
 
+Plugins.generators().forEach(([type, generator]) => {
+  generator.options
+    .filter(option => !generateCommand.options.some(existing => existing.attributeName() === option.name))
+    .forEach(option => generateCommand.option(option.flags, `${type}: ${option.description}`));
+});
+
+if (Plugins.generators().length > 0) {
+  generateCommand.addHelpText('after', [
+    '\nPlugin generators:',
+    ...Plugins.generators().map(([type, generator]) => `  ${type.padEnd(20)} ${generator.description} (${generator.plugin})`)
+  ].join('\n'));
+}
+
 // Auth setup command
 program
   .command('auth')
   .description('Set up authentication system')
-  .option('--provider <provider>', 'Auth provider (nextauth, clerk, supabase)', 'nextauth')
-  .option('--database', 'Include database models for users', false)
+  .option('--provider <provider>', 'Auth provider (nextauth, clerk, supabase, custom)')
+  .option('--database', 'Include database models for users')
+  .option('--no-database', 'Don\'t include database models for users')
+  .option('--skip-install', 'only add the auth packages to package.json')
+  .option('--answers <file>', 'replay prompt answers from a JSON file')
+  .option('--save-answers <file>', 'save this run\'s prompt answers to a JSON file')
   .action(async (options) => {
-    // Check if we're in a WorkEase project
-    const packageJsonPath = path.join(process.cwd(), 'package.json');
-    if (!fs.existsSync(packageJsonPath)) {
-      console.error(chalk.red('❌ Not in a valid project directory. Run this command from your project root.'));
-      return;
-    }
-
     try {
+      // Check if we're in a WorkEase project
+      assertProjectRoot();
+
+      await loadAnswersFile('auth', options);
       await Generator.generateAuthSystem(options);
+      Ledger.pending = { command: 'auth', type: 'auth', name: Prompter.recorded.provider };
+      await saveAnswersFile('auth', options);
     } catch (error) {
-      console.error(chalk.red('❌ Auth setup error:'), error.message);
+      FileLayer.discard();
+      reportError('Auth setup error', error);
+      Logger.log(chalk.yellow('No files were changed.'));
     }
   });
 
-async function createProjectFromTemplate(projectName, template) {
-  const projectPath = path.resolve(projectName);
-  
-  // Base package.json structure
-  const basePackageJson = {
-    name: projectName,
-    version: "0.1.0",
-    private: true,
-    scripts: {
-      dev: "next dev",
-      build: "next build",
-      start: "next start",
-      lint: "next lint"
-    }
-  };
-
-  let packageJson = { ...basePackageJson };
-  let dependencies = {
-    "next": "^14.0.0",
-    "react": "^18.2.0",
-    "react-dom": "^18.2.0"
-  };
-
-  let devDependencies = {
-    "@types/node": "^20.0.0",
-    "@types/react": "^18.2.0",
-    "@types/react-dom": "^18.2.0",
-    "eslint": "^8.45.0",
-    "eslint-config-next": "^14.0.0",
-    "typescript": "^5.1.0"
-  };
-
-  // Template-specific configurations
-  switch (template) {
-    case 'fullstack':
-      dependencies = {
-        ...dependencies,
-        "@tailwindcss/forms": "^0.5.0",
-        "tailwindcss": "^3.3.0",
-        "autoprefixer": "^10.4.0",
-        "postcss": "^8.4.0",
-        "@prisma/client": "^5.0.0",
-        "bcryptjs": "^2.4.3",
-        "@types/bcryptjs": "^2.4.2",
-        // UI Component Dependencies
-        "clsx": "^2.0.0",
-        "tailwind-merge": "^2.0.0",
-        "class-variance-authority": "^0.7.0",
-        "lucide-react": "^0.400.0",
-        // Form & Validation Dependencies  
-        "@hookform/resolvers": "^3.3.0",
-        "react-hook-form": "^7.47.0",
-        "zod": "^3.22.0",
-        // Chart Dependencies
-        "recharts": "^2.8.0",
-        // Additional UI Dependencies
-        "@radix-ui/react-slot": "^1.0.2",
-        "@radix-ui/react-tabs": "^1.0.4",
-        "@radix-ui/react-select": "^2.0.0",
-        "@radix-ui/react-switch": "^1.0.3",
-        "tailwindcss-animate": "^1.0.7"
-      };
-      devDependencies = {
-        ...devDependencies,
-        "prisma": "^5.0.0"
-      };
-      packageJson.scripts = {
-  ...packageJson.scripts,
-  "db:generate": "prisma generate", 
-  "db:setup": "prisma generate && prisma db push",
-  "db:check": "prisma validate && echo 'Schema is valid'"
-};
-      break;
-
-    case 'frontend':
-      dependencies = {
-        ...dependencies,
-        "@tailwindcss/forms": "^0.5.0",
-        "tailwindcss": "^3.3.0",
-        "autoprefixer": "^10.4.0",
-        "postcss": "^8.4.0"
-      };
-      break;
-
-    case 'api':
-      dependencies = {
-        ...dependencies,
-        "@prisma/client": "^5.0.0",
-        "bcryptjs": "^2.4.3",
-        "@types/bcryptjs": "^2.4.2"
-      };
-      devDependencies = {
-        ...devDependencies,
-        "prisma": "^5.0.0"
-      };
-      packageJson.scripts = {
-  ...packageJson.scripts,
-  "db:generate": "prisma generate", 
-  "db:setup": "prisma generate && prisma db push",
-  "db:check": "prisma validate && echo 'Schema is valid'"
-};
-      break;
-
-    case 'dashboard':
-      dependencies = {
-        ...dependencies,
-        "@tailwindcss/forms": "^0.5.0",
-        "tailwindcss": "^3.3.0",
-        "autoprefixer": "^10.4.0",
-        "postcss": "^8.4.0",
-        "@prisma/client": "^5.0.0",
-        "bcryptjs": "^2.4.3",
-        "@types/bcryptjs": "^2.4.2",
-        "lucide-react": "^0.290.0",
-        "@headlessui/react": "^1.7.0"
-      };
-      devDependencies = {
-        ...devDependencies,
-        "prisma": "^5.0.0"
-      };
-      packageJson.scripts = {
-  ...packageJson.scripts,
-  "db:generate": "prisma generate",
-  "db:setup": "prisma generate && prisma db push",
-  "db:check": "prisma validate && echo 'Schema is valid'",
-  "postinstall": "echo '✅ WorkEase dashboard project created successfully! Run: npm run db:setup to initialize database'"
-};
-      break;
-  }
-
-  packageJson.dependencies = dependencies;
-  packageJson.devDependencies = devDependencies;
-
-  // Write package.json
-  await fs.writeJSON(path.join(projectPath, 'package.json'), packageJson, { spaces: 2 });
-
-  // Create directory structure
-  await fs.ensureDir(path.join(projectPath, 'src/app'));
-  await fs.ensureDir(path.join(projectPath, 'src/components'));
-  await fs.ensureDir(path.join(projectPath, 'src/lib'));
-
-  if (template === 'fullstack' || template === 'api' || template === 'dashboard') {
-    await fs.ensureDir(path.join(projectPath, 'prisma'));
-  }
-
-  // Create configuration files
-  await createConfigFiles(projectPath, template);
-  
-  // Create app structure
-  await createAppStructure(projectPath, template);
+// Retrofit pieces of the richer project templates into an existing project
+program
+  .command('add')
+  .argument('<features...>', 'features to add: tailwind, ui, forms, charts, prisma, auth')
+  .option('--provider <provider>', 'Auth provider for the auth feature (nextauth, clerk, supabase, custom)')
+  .option('--skip-install', 'only add the packages of the features to package.json')
+  .option('--answers <file>', 'replay prompt answers from a JSON file')
+  .option('--save-answers <file>', 'save this run\'s prompt answers to a JSON file')
+  .description('Add a feature (dependencies, config files, components) to an existing project')
+  .action(async (features, options) => {
+    try {
+      assertProjectRoot();
+
+      const available = await ProjectTemplate.features();
+      const unknown = features.filter(feature => !available.includes(feature));
+      if (unknown.length > 0) {
+        throw WorkEaseError.invalidInput(`Unknown feature: ${unknown.join(', ')}`, {
+          hint: `Use one of ${available.join(', ')}`
+        });
+      }
 
-  // Create UI components for templates that need them
-  if (['fullstack', 'dashboard'].includes(template)) {
-    await createUIComponents(projectPath);
-  }
+      await loadAnswersFile('add', options);
 
-  // Create basic files
-  await fs.writeFile(path.join(projectPath, 'README.md'), generateReadme(projectName, template));
-  await fs.writeFile(path.join(projectPath, '.gitignore'), generateGitignore());
+      const { name, dependencies, devDependencies } = await FileLayer.readJSON('package.json');
+      const installed = { ...devDependencies, ...dependencies };
+      const postSteps = [];
+      for (const feature of features) {
+        const template = await ProjectTemplate.load(feature);
+        Logger.log(chalk.blue(`\n➕ Adding ${template.title}: ${template.description}`));
 
-  if (template === 'fullstack' || template === 'api' || template === 'dashboard') {
-    await createPrismaSchema(projectPath, template);
-  }
-}
+        // Files the project already has are kept, so adding twice changes nothing
+        const conflicts = await ProjectTemplate.create(process.cwd(), template, { projectName: name, mode: 'merge' });
+        if (conflicts.length > 0) {
+          Logger.warn(`⚠️  Kept ${conflicts.length} existing file(s), compare them with the ${template.title} template:`,
+            conflicts.map(conflict => `${conflict.path}: ${conflict.reason}`));
+        }
+        postSteps.push(...template.postSteps.filter(step => !postSteps.some(existing => existing.command === step.command)));
 
-async function createConfigFiles(projectPath, template) {
-  // TypeScript config
-  const tsConfig = {
-    compilerOptions: {
-      lib: ["dom", "dom.iterable", "es6"],
-      allowJs: true,
-      skipLibCheck: true,
-      strict: true,
-      noEmit: true,
-      esModuleInterop: true,
-      module: "esnext",
-      moduleResolution: "bundler",
-      resolveJsonModule: true,
-      isolatedModules: true,
-      jsx: "preserve",
-      incremental: true,
-      plugins: [
-        {
-          name: "next"
+        if (feature === 'auth') {
+          await Generator.generateAuthSystem(options);
+          Ledger.pending = { command: 'add', type: 'auth', name: Prompter.recorded.provider };
         }
-      ],
-      baseUrl: ".",
-      paths: {
-        "@/*": ["./src/*"]
       }
-    },
-    include: ["next-env.d.ts", "**/*.ts", "**/*.tsx", ".next/types/**/*.ts"],
-    exclude: ["node_modules"]
-  };
 
-  await fs.writeJSON(path.join(projectPath, 'tsconfig.json'), tsConfig, { spaces: 2 });
+      await saveAnswersFile('add', options);
 
-  // Next.js config
-  const nextConfig = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  experimental: {
-    typedRoutes: true,
-  },
-}
+      // Like generate, the packages the features added to package.json are
+      // installed once the files are written (unless --skip-install)
+      const packageJson = await FileLayer.readJSON('package.json');
+      const added = Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies })
+        .filter(packageName => !installed[packageName] && !Requirements.added.includes(packageName));
+      Requirements.added.push(...added);
 
-module.exports = nextConfig
-`;
-
-  await fs.writeFile(path.join(projectPath, 'next.config.js'), nextConfig);
-
-  // Tailwind config (if needed)
-  if (['fullstack', 'frontend', 'dashboard'].includes(template)) {
-    const tailwindConfig = `/** @type {import('tailwindcss').Config} */
-module.exports = {
-  darkMode: ["class"],
-  content: [
-    './src/pages/**/*.{js,ts,jsx,tsx,mdx}',
-    './src/components/**/*.{js,ts,jsx,tsx,mdx}',
-    './src/app/**/*.{js,ts,jsx,tsx,mdx}',
-  ],
-  prefix: "",
-  theme: {
-    container: {
-      center: true,
-      padding: "2rem",
-      screens: {
-        "2xl": "1400px",
-      },
-    },
-    extend: {
-      colors: {
-        border: "hsl(var(--border))",
-        input: "hsl(var(--input))",
-        ring: "hsl(var(--ring))",
-        background: "hsl(var(--background))",
-        foreground: "hsl(var(--foreground))",
-        primary: {
-          DEFAULT: "hsl(var(--primary))",
-          foreground: "hsl(var(--primary-foreground))",
-        },
-        secondary: {
-          DEFAULT: "hsl(var(--secondary))",
-          foreground: "hsl(var(--secondary-foreground))",
-        },
-        destructive: {
-          DEFAULT: "hsl(var(--destructive))",
-          foreground: "hsl(var(--destructive-foreground))",
-        },
-        muted: {
-          DEFAULT: "hsl(var(--muted))",
-          foreground: "hsl(var(--muted-foreground))",
-        },
-        accent: {
-          DEFAULT: "hsl(var(--accent))",
-          foreground: "hsl(var(--accent-foreground))",
-        },
-        popover: {
-          DEFAULT: "hsl(var(--popover))",
-          foreground: "hsl(var(--popover-foreground))",
-        },
-        card: {
-          DEFAULT: "hsl(var(--card))",
-          foreground: "hsl(var(--card-foreground))",
-        },
-      },
-      borderRadius: {
-        lg: "var(--radius)",
-        md: "calc(var(--radius) - 2px)",
-        sm: "calc(var(--radius) - 4px)",
-      },
-      keyframes: {
-        "accordion-down": {
-          from: { height: "0" },
-          to: { height: "var(--radix-accordion-content-height)" },
-        },
-        "accordion-up": {
-          from: { height: "var(--radix-accordion-content-height)" },
-          to: { height: "0" },
-        },
-      },
-      animation: {
-        "accordion-down": "accordion-down 0.2s ease-out",
-        "accordion-up": "accordion-up 0.2s ease-out",
-      },
-    },
-  },
-  plugins: [
-    require('@tailwindcss/forms'),
-    require("tailwindcss-animate"),
-  ],
-}
-`;
-
-    const postcssConfig = `module.exports = {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-  },
-}
-`;
-
-    await fs.writeFile(path.join(projectPath, 'tailwind.config.js'), tailwindConfig);
-    await fs.writeFile(path.join(projectPath, 'postcss.config.js'), postcssConfig);
-
-    // Global styles
-    const globalCss = `@tailwind base;
-@tailwind components;
-@tailwind utilities;
-
-@layer base {
-  :root {
-    --background: 0 0% 100%;
-    --foreground: 222.2 84% 4.9%;
-    --card: 0 0% 100%;
-    --card-foreground: 222.2 84% 4.9%;
-    --popover: 0 0% 100%;
-    --popover-foreground: 222.2 84% 4.9%;
-    --primary: 222.2 47.4% 11.2%;
-    --primary-foreground: 210 40% 98%;
-    --secondary: 210 40% 96%;
-    --secondary-foreground: 222.2 84% 4.9%;
-    --muted: 210 40% 96%;
-    --muted-foreground: 215.4 16.3% 46.9%;
-    --accent: 210 40% 96%;
-    --accent-foreground: 222.2 84% 4.9%;
-    --destructive: 0 84.2% 60.2%;
-    --destructive-foreground: 210 40% 98%;
-    --border: 214.3 31.8% 91.4%;
-    --input: 214.3 31.8% 91.4%;
-    --ring: 222.2 84% 4.9%;
-    --radius: 0.5rem;
-  }
- 
-  .dark {
-    --background: 222.2 84% 4.9%;
-    --foreground: 210 40% 98%;
-    --card: 222.2 84% 4.9%;
-    --card-foreground: 210 40% 98%;
-    --popover: 222.2 84% 4.9%;
-    --popover-foreground: 210 40% 98%;
-    --primary: 210 40% 98%;
-    --primary-foreground: 222.2 47.4% 11.2%;
-    --secondary: 217.2 32.6% 17.5%;
-    --secondary-foreground: 210 40% 98%;
-    --muted: 217.2 32.6% 17.5%;
-    --muted-foreground: 215 20.2% 65.1%;
-    --accent: 217.2 32.6% 17.5%;
-    --accent-foreground: 210 40% 98%;
-    --destructive: 0 62.8% 30.6%;
-    --destructive-foreground: 210 40% 98%;
-    --border: 217.2 32.6% 17.5%;
-    --input: 217.2 32.6% 17.5%;
-    --ring: 212.7 26.8% 83.9%;
-  }
-}
- 
-@layer base {
-  * {
-    @apply border-border;
-  }
-  body {
-    @apply bg-background text-foreground;
-  }
-}
-
-@layer utilities {
-  .text-balance {
-    text-wrap: balance;
-  }
-}
-`;
-
-    await fs.ensureDir(path.join(projectPath, 'src/app'));
-    await fs.writeFile(path.join(projectPath, 'src/app/globals.css'), globalCss);
-  }
-}
-
-async function createAppStructure(projectPath, template) {
-  // Root layout
-  const layoutContent = `import type { Metadata } from 'next'
-${['fullstack', 'frontend', 'dashboard'].includes(template) ? "import './globals.css'" : ''}
-
-export const metadata: Metadata = {
-  title: 'WorkEase App',
-  description: 'Built with WorkEase Framework',
-}
-
-export default function RootLayout({
-  children,
-}: {
-  children: React.ReactNode
-}) {
-  return (
-    <html lang="en">
-      <body${['fullstack', 'frontend', 'dashboard'].includes(template) ? ' className="min-h-screen"' : ''}>{children}</body>
-    </html>
-  )
-}
-`;
-
-  await fs.writeFile(path.join(projectPath, 'src/app/layout.tsx'), layoutContent);
-
-  // Home page based on template
-  let pageContent = '';
-
-  switch (template) {
-    case 'fullstack':
-    case 'dashboard':
-      pageContent = `import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
-
-export default function Home() {
-  return (
-    <div className="container mx-auto px-4 py-8">
-      <div className="max-w-4xl mx-auto">
-        <h1 className="text-4xl font-bold text-center mb-8">
-          Welcome to Your WorkEase App
-        </h1>
-        
-        <div className="grid md:grid-cols-2 gap-6">
-          <Card>
-            <CardHeader>
-              <CardTitle>🚀 Get Started</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <p className="text-gray-600 mb-4">
-                Your full-stack application is ready! Start building amazing features.
-              </p>
-              <ul className="list-disc list-inside space-y-2 text-sm text-gray-600">
-                <li>Database ready with Prisma</li>
-                <li>TypeScript configured</li>
-                <li>Tailwind CSS for styling</li>
-                <li>API routes set up</li>
-              </ul>
-            </CardContent>
-          </Card>
-
-          <Card>
-            <CardHeader>
-              <CardTitle>📚 Resources</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <p className="text-gray-600 mb-4">
-                Helpful links to get you productive quickly:
-              </p>
-              <ul className="list-disc list-inside space-y-2 text-sm text-gray-600">
-                <li>WorkEase Documentation</li>
-                <li>Next.js App Router Guide</li>
-                <li>Prisma Documentation</li>
-                <li>Tailwind CSS Reference</li>
-              </ul>
-            </CardContent>
-          </Card>
-        </div>
-      </div>
-    </div>
-  )
-}`;
-      break;
-
-    case 'frontend':
-      pageContent = `export default function Home() {
-  return (
-    <div className="container mx-auto px-4 py-8">
-      <div className="max-w-4xl mx-auto text-center">
-        <h1 className="text-4xl font-bold mb-6">
-          Welcome to Your WorkEase Frontend
-        </h1>
-        
-        <p className="text-xl text-gray-600 mb-8">
-          A modern frontend application built with Next.js, TypeScript, and Tailwind CSS.
-        </p>
-
-        <div className="grid md:grid-cols-3 gap-6 mt-12">
-          <div className="p-6 bg-white rounded-lg shadow-md">
-            <h3 className="text-lg font-semibold mb-2">⚡ Fast</h3>
-            <p className="text-gray-600">Optimized for performance with Next.js</p>
-          </div>
-          <div className="p-6 bg-white rounded-lg shadow-md">
-            <h3 className="text-lg font-semibold mb-2">🎨 Beautiful</h3>
-            <p className="text-gray-600">Styled with Tailwind CSS</p>
-          </div>
-          <div className="p-6 bg-white rounded-lg shadow-md">
-            <h3 className="text-lg font-semibold mb-2">🔒 Type Safe</h3>
-            <p className="text-gray-600">Built with TypeScript</p>
-          </div>
-        </div>
-      </div>
-    </div>
-  )
-}`;
-      break;
-
-    case 'api':
-      pageContent = `export default function Home() {
-  return (
-    <div className="container mx-auto px-4 py-8">
-      <div className="max-w-2xl mx-auto">
-        <h1 className="text-3xl font-bold text-center mb-6">
-          WorkEase API Server
-        </h1>
-        
-        <div className="bg-gray-100 p-6 rounded-lg">
-          <h2 className="text-xl font-semibold mb-4">API Endpoints:</h2>
-          <ul className="space-y-2">
-            <li><code className="bg-white px-2 py-1 rounded">GET /api/health</code> - Health check</li>
-            <li><code className="bg-white px-2 py-1 rounded">GET /api/users</code> - Get all users</li>
-            <li><code className="bg-white px-2 py-1 rounded">POST /api/users</code> - Create user</li>
-          </ul>
-        </div>
-
-        <div className="mt-6 p-4 bg-blue-50 rounded-lg">
-          <p className="text-blue-800">
-            🚀 Your API server is ready! Start building your endpoints.
-          </p>
-        </div>
-      </div>
-    </div>
-  )
-}`;
-      break;
-  }
-
-  await fs.writeFile(path.join(projectPath, 'src/app/page.tsx'), pageContent);
-
-  // Create UI components for dashboard and fullstack
-  if (template === 'dashboard' || template === 'fullstack') {
-    await fs.ensureDir(path.join(projectPath, 'src/components/ui'));
-    
-    const cardComponent = `import * as React from "react"
-import { cn } from "@/lib/utils"
-
-const Card = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div
-    ref={ref}
-    className={cn(
-      "rounded-lg border bg-card text-card-foreground shadow-sm",
-      className
-    )}
-    {...props}
-  />
-))
-Card.displayName = "Card"
-
-const CardHeader = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div
-    ref={ref}
-    className={cn("flex flex-col space-y-1.5 p-6", className)}
-    {...props}
-  />
-))
-CardHeader.displayName = "CardHeader"
-
-const CardTitle = React.forwardRef<
-  HTMLParagraphElement,
-  React.HTMLAttributes<HTMLHeadingElement>
->(({ className, ...props }, ref) => (
-  <h3
-    ref={ref}
-    className={cn(
-      "text-2xl font-semibold leading-none tracking-tight",
-      className
-    )}
-    {...props}
-  />
-))
-CardTitle.displayName = "CardTitle"
-
-const CardContent = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div ref={ref} className={cn("p-6 pt-0", className)} {...props} />
-))
-CardContent.displayName = "CardContent"
-
-export { Card, CardHeader, CardTitle, CardContent }
-`;
-
-    await fs.writeFile(path.join(projectPath, 'src/components/ui/card.tsx'), cardComponent);
-
-    // Utils
-    const utilsContent = `import { type ClassValue, clsx } from "clsx"
-import { twMerge } from "tailwindcss-merge"
-
-export function cn(...inputs: ClassValue[]) {
-  return twMerge(clsx(inputs))
-}
-`;
-
-    await fs.writeFile(path.join(projectPath, 'src/lib/utils.ts'), utilsContent);
-  }
-
-  // API routes for API and fullstack templates
-  if (['api', 'fullstack', 'dashboard'].includes(template)) {
-    await fs.ensureDir(path.join(projectPath, 'src/app/api/health'));
-    
-    const healthRoute = `import { NextResponse } from 'next/server';
+      const changes = FileLayer.changes();
+      if (changes.length === 0) {
+        Logger.log(chalk.green(`\n✅ ${features.join(', ')} already set up, nothing to add`));
+        return;
+      }
 
-export async function GET() {
-  return NextResponse.json({ 
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    message: 'WorkEase API is running'
+      if (!FileLayer.dryRun) {
+        changes.forEach(change => Logger.log(chalk.gray(`   ${change.type === 'created' ? '+' : '~'} ${change.path}`)));
+      }
+      Logger.log(chalk.green(`\n✅ Added ${features.join(', ')}`));
+
+      // The auth generator lists its own next steps
+      if (!features.includes('auth') && postSteps.length > 0) {
+        const packageManager = await PackageManager.resolve();
+        Logger.nextSteps([
+          ...postSteps.map(step => {
+            const command = PackageManager.command(packageManager, step.command);
+            return { text: `${step.text}: ${command}`, command };
+          })
+        ]);
+      }
+    } catch (error) {
+      FileLayer.discard();
+      reportError('Could not add the feature', error);
+      Logger.log(chalk.yellow('No files were changed.'));
+    }
   });
-}
-`;
-
-    await fs.writeFile(path.join(projectPath, 'src/app/api/health/route.ts'), healthRoute);
-  }
-}
-
-async function createPrismaSchema(projectPath, template) {
-  const schemaContent = `// This is your Prisma schema file,
-// learn more about it in the docs: https://pris.ly/d/prisma-schema
-
-generator client {
-  provider = "prisma-client-js"
-}
-
-datasource db {
-  provider = "sqlite"
-  url      = "file:./dev.db"
-}
 
-model User {
-  id        Int      @id @default(autoincrement())
-  name      String
-  email     String   @unique
-  createdAt DateTime @default(now())
-  updatedAt DateTime @updatedAt
-
-  @@map("users")
-}
-
-${template === 'dashboard' ? `
-model Post {
-  id        Int      @id @default(autoincrement())
-  title     String
-  content   String?
-  published Boolean  @default(false)
-  author    User     @relation(fields: [authorId], references: [id])
-  authorId  Int
-  createdAt DateTime @default(now())
-  updatedAt DateTime @updatedAt
-
-  @@map("posts")
-}
-` : ''}
-`;
-
-  await fs.writeFile(path.join(projectPath, 'prisma/schema.prisma'), schemaContent);
-}
+// Revert a previous generation recorded in the project ledger
+program
+  .command('destroy')
+  .alias('d')
+  .argument('<type>', 'type of the generation to revert (component, page, api, model, table, form, dashboard, resource, auth)')
+  .argument('[name]', 'name it was generated with (defaults to the latest generation of that type)')
+  .option('-y, --yes', 'don\'t prompt (edited files are kept unless --force is given)', false)
+  .option('--force', 'also revert files that were edited since they were generated', false)
+  .description('Remove the files of a previous generate or auth run')
+  .action(async (type, name, options) => {
+    try {
+      assertProjectRoot();
 
-function generateReadme(projectName, template) {
-  return `# ${projectName}
+      const generatorType = Generator.resolveType(type);
+      const entry = await Ledger.find(generatorType, name);
 
-A ${template} application built with WorkEase Framework.
+      if (!entry) {
+        throw WorkEaseError.invalidInput(`No ${generatorType}${name ? ` "${name}"` : ''} generation found in ${Ledger.historyPath}`);
+      }
 
-## Getting Started
+      Logger.log(chalk.blue(`🗑️  Reverting ${entry.type}${entry.name ? ` ${entry.name}` : ''} (generated ${new Date(entry.timestamp).toLocaleString()})`));
 
-First, install dependencies:
+      const steps = await Ledger.plan(entry);
+      const edited = steps.filter(step => step.edited && !step.conflict);
+      const conflicts = steps.filter(step => step.conflict);
+      let kept = [];
 
-\`\`\`bash
-npm install
-\`\`\`
+      if (edited.length > 0) {
+        Logger.warn('⚠️  These files were edited since they were generated:', edited.map(step => step.file.path));
 
-${template === 'fullstack' || template === 'dashboard' || template === 'api' ? `
-Set up the database:
+        const { revertEdited } = await Prompter.ask([
+          {
+            type: 'confirm',
+            name: 'revertEdited',
+            message: 'Revert them anyway (your edits will be lost)?',
+            default: false
+          }
+        ], { revertEdited: options.force || undefined }, options);
 
-\`\`\`bash
-npx prisma generate
-npx prisma db push
-\`\`\`
-` : ''}
+        if (!revertEdited) kept = edited;
+      }
 
-Then, run the development server:
+      for (const step of steps.filter(step => !step.conflict && !kept.includes(step))) {
+        if (step.content === null) {
+          await FileLayer.remove(step.file.path);
+          Logger.log(chalk.green(`🗑️  Deleted ${step.file.path}`));
+        } else {
+          await FileLayer.writeFile(step.file.path, step.content);
+          Logger.log(chalk.green(`↩️  Restored ${step.file.path}`));
+        }
+      }
 
-\`\`\`bash
-npm run dev
-\`\`\`
+      conflicts.forEach(step => {
+        Logger.warn(`⚠️  ${step.file.path} changed since in ways that can't be undone automatically, left as is (revert it by hand)`);
+      });
+      if (conflicts.length > 0 || kept.length > 0) {
+        process.exitCode = WorkEaseError.exitCodes['file-conflict'];
+      }
 
-Open [http://localhost:3000](http://localhost:3000) with your browser to see the result.
+      const label = [entry.type, entry.name].filter(Boolean).join(' ');
+      if (kept.length > 0) {
+        // Still in the history, so destroy --force can revert the edited files later
+        Logger.warn(`⚠️  Kept ${kept.length} edited file(s), run workease destroy ${entry.type}${entry.name ? ` ${entry.name}` : ''} --force to revert them too`);
+        Logger.log(chalk.green(`✅ Reverted the unedited files of ${label}`));
+      } else {
+        await Ledger.markDestroyed(entry);
+        Logger.log(chalk.green(`✅ ${label} destroyed`));
+      }
+    } catch (error) {
+      FileLayer.discard();
+      reportError('Destroy error', error);
+    }
+  });
 
-## Project Structure
+const templatesCommand = program
+  .command('templates')
+  .description('List the generator templates or copy them into the project to customize them');
 
-- \`src/app/\` - Next.js App Router pages and layouts
-- \`src/components/\` - Reusable React components
-- \`src/lib/\` - Utility functions and configurations${template === 'fullstack' || template === 'dashboard' || template === 'api' ? `
-- \`prisma/\` - Database schema and migrations` : ''}
+templatesCommand
+  .command('list')
+  .description('List the generator templates and which ones the project overrides')
+  .action(async () => {
+    const names = await TemplateEngine.builtInTemplates();
 
-## Available Scripts
+    Logger.log(chalk.blue(`\n📄 Generator templates (project copies in ${TemplateEngine.overridesDir}):`));
+    for (const name of names) {
+      const overridden = await FileLayer.pathExists(TemplateEngine.overridePath(name));
+      Logger.log(`  ${chalk.cyan(name)}${overridden ? chalk.yellow(' (overridden)') : ''}`);
+    }
+    Logger.log('');
+  });
 
-- \`npm run dev\` - Start development server
-- \`npm run build\` - Build for production
-- \`npm run start\` - Start production server
-- \`npm run lint\` - Run ESLint
+templatesCommand
+  .command('eject')
+  .argument('[name]', 'template to copy, e.g. component.tsx or component (default: all of them)')
+  .option('--force', 'overwrite project copies that already exist', false)
+  .description(`Copy built-in templates into ${TemplateEngine.overridesDir}, where they take precedence`)
+  .action(async (name, options) => {
+    try {
+      assertProjectRoot();
 
-## Built With
+      const names = await TemplateEngine.builtInTemplates();
+      const selected = name
+        ? names.filter(template => template === name || template.replace(/\.[^.]+$/, '') === name)
+        : names;
 
-- [Next.js](https://nextjs.org/) - React framework
-- [TypeScript](https://www.typescriptlang.org/) - Type safety${['fullstack', 'frontend', 'dashboard'].includes(template) ? `
-- [Tailwind CSS](https://tailwindcss.com/) - Styling` : ''}${template === 'fullstack' || template === 'dashboard' || template === 'api' ? `
-- [Prisma](https://prisma.io/) - Database ORM` : ''}
+      if (selected.length === 0) {
+        throw WorkEaseError.invalidInput(`Unknown template: ${name}`, {
+          hint: 'Run workease templates list to see the available templates'
+        });
+      }
 
-## WorkEase CLI
+      let ejected = 0;
+      for (const template of selected) {
+        const overridePath = TemplateEngine.overridePath(template);
 
-Generate new components, pages, and API routes:
+        if (await FileLayer.pathExists(overridePath) && !options.force) {
+          Logger.warn(`⚠️  ${FileLayer.relative(overridePath)} already exists, skipping (use --force to overwrite)`);
+          continue;
+        }
 
-\`\`\`bash
-npx myframework generate
-\`\`\`
+        const source = await fs.readFile(path.join(TemplateEngine.templatesDir, `${template}.template`), 'utf-8');
+        await FileLayer.ensureDir(path.dirname(overridePath));
+        await FileLayer.writeFile(overridePath, source);
+        Logger.log(chalk.green(`📄 Ejected ${FileLayer.relative(overridePath)}`));
+        ejected++;
+      }
 
-Learn more at [WorkEase Documentation](https://workease-framework.com/docs)
-`;
-}
+      if (ejected > 0) {
+        Logger.log(chalk.green(`✅ ${ejected} template(s) ejected, generators now use the project copies`));
+      }
+    } catch (error) {
+      FileLayer.discard();
+      reportError('Template eject error', error);
+    }
+  });
 
-function generateGitignore() {
-  return `# Dependencies
-node_modules/
-/.pnp
-.pnp.js
-.yarn/install-state.gz
+templatesCommand
+  .command('check')
+  .description('Check the templates (and the project copies) against the variables the generators pass')
+  .action(async () => {
+    Logger.log(chalk.blue('🔍 Checking generator templates...'));
 
-# testing
-/coverage
+    try {
+      const findings = await TemplateCheck.run(FileLayer.root);
+      const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
 
-# next.js
-/.next/
-/out/
+      for (const finding of findings) {
+        Logger.finding({ ...finding, fixed: false });
+        const text = `${icons[finding.severity]} ${finding.file ? `${chalk.cyan(finding.file)}: ` : ''}${finding.message}`;
+        Logger.log(finding.severity === 'error' ? chalk.red(text) : chalk.yellow(text));
+      }
 
-# production
-/build
+      const errors = findings.filter(finding => finding.severity === 'error').length;
+      if (errors > 0) {
+        throw WorkEaseError.invalidInput(`${errors} template problem(s) found`, {
+          hint: `Fix the templates in ${TemplateEngine.overridesDir}, or eject a fresh copy with workease templates eject <name> --force`
+        });
+      }
 
-# misc
-.DS_Store
-*.pem
+      Logger.log(chalk.green('✅ All templates match the generator variables'));
+    } catch (error) {
+      reportError('Template check failed', error);
+    }
+  });
 
-# debug
-npm-debug.log*
-yarn-debug.log*
-yarn-error.log*
+// UI primitives of the built-in library, the same ones the generators add
+const uiCommand = program
+  .command('ui')
+  .description('List the built-in UI components or add them to the project');
 
-# local env files
-.env*.local
+uiCommand
+  .command('list')
+  .description('List the UI components and which ones the project has')
+  .action(async () => {
+    const components = await UiLibrary.list();
+    const width = Math.max(...components.map(component => component.name.length));
+
+    Logger.log(chalk.blue('\n🧱 UI components (add them with workease ui add <name...>):'));
+    for (const component of components) {
+      const installed = await UiLibrary.installed(component);
+      const needs = [...component.components.filter(name => name !== 'utils'), ...component.dependencies];
+      Logger.log(`  ${chalk.cyan(component.name.padEnd(width))}  ${component.description}${installed ? chalk.green(' (added)') : ''}`);
+      if (needs.length > 0) {
+        Logger.log(chalk.gray(`  ${' '.repeat(width)}  needs ${needs.join(', ')}`));
+      }
+    }
+    Logger.log('');
+  });
 
-# vercel
-.vercel
+uiCommand
+  .command('add')
+  .argument('<components...>', 'components to add, e.g. dialog table toast')
+  .option('--force', 'replace components the project already has with the library version', false)
+  .option('--skip-install', 'only add the packages the components need to package.json')
+  .description('Add UI components to src/components/ui, with the components and packages they need')
+  .action(async (components, options) => {
+    try {
+      assertProjectRoot();
+
+      // Unknown names fail before anything is written
+      const kept = [];
+      for (const component of await UiLibrary.resolve(components)) {
+        if (components.includes(component.name) && !options.force && await UiLibrary.installed(component)) {
+          kept.push(component.name);
+          Logger.log(chalk.gray(`⏭️  Kept the project's ${component.name} (--force replaces it with the library version)`));
+        }
+      }
 
-# typescript
-*.tsbuildinfo
-next-env.d.ts
+      Requirements.reset();
+      Requirements.require({ components });
+      const { created, overwritten, packages } = await Requirements.ensure(FileLayer.root, {
+        overwrite: options.force ? components : []
+      });
 
-# database
-/prisma/dev.db
-/prisma/dev.db-journal
-`;
-}
+      if (created.length + overwritten.length + packages.length === 0) {
+        Logger.log(chalk.green(`✅ ${components.join(', ')} already in the project, nothing to add`));
+        return;
+      }
+      const added = components.filter(name => !kept.includes(name));
+      Logger.log(chalk.green(`✅ Added ${added.length > 0 ? added.join(', ') : 'what they need'}`));
+    } catch (error) {
+      FileLayer.discard();
+      reportError('Could not add the UI component', error);
+      Logger.log(chalk.yellow('No files were changed.'));
+    }
+  });
 
-async function createUIComponents(projectPath) {
-  // Create src/lib/utils.ts
-  const utilsContent = `import { type ClassValue, clsx } from "clsx"
-import { twMerge } from "tailwind-merge"
-
-export function cn(...inputs: ClassValue[]) {
-  return twMerge(clsx(inputs))
-}`;
-
-  await fs.ensureDir(path.join(projectPath, 'src/lib'));
-  await fs.writeFile(path.join(projectPath, 'src/lib/utils.ts'), utilsContent);
-
-  // Create UI components directory
-  await fs.ensureDir(path.join(projectPath, 'src/components/ui'));
-
-  // Create Button component
-  const buttonContent = `import * as React from "react"
-import { Slot } from "@radix-ui/react-slot"
-import { cva, type VariantProps } from "class-variance-authority"
-import { cn } from "@/lib/utils"
-
-const buttonVariants = cva(
-  "inline-flex items-center justify-center whitespace-nowrap rounded-md text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50",
-  {
-    variants: {
-      variant: {
-        default: "bg-primary text-primary-foreground hover:bg-primary/90",
-        destructive: "bg-destructive text-destructive-foreground hover:bg-destructive/90",
-        outline: "border border-input bg-background hover:bg-accent hover:text-accent-foreground",
-        secondary: "bg-secondary text-secondary-foreground hover:bg-secondary/80",
-        ghost: "hover:bg-accent hover:text-accent-foreground",
-        link: "text-primary underline-offset-4 hover:underline",
-      },
-      size: {
-        default: "h-10 px-4 py-2",
-        sm: "h-9 rounded-md px-3",
-        lg: "h-11 rounded-md px-8",
-        icon: "h-10 w-10",
-      },
-    },
-    defaultVariants: {
-      variant: "default",
-      size: "default",
-    },
+async function installDependencies(projectName, packageManager) {
+  Logger.log(chalk.blue(`📦 Installing dependencies with ${packageManager}...`));
+  
+  try {
+    // The package manager's output would break the JSON result on stdout
+    await execa(packageManager, ['install'], {
+      cwd: path.resolve(projectName),
+      stdio: Logger.json ? ['ignore', 'ignore', 'inherit'] : 'inherit'
+    });
+  } catch (error) {
+    throw WorkEaseError.installFailure(`Failed to install dependencies: ${error.shortMessage || error.message}`, {
+      hint: `The project files were created. Install the dependencies by hand: ${projectName === '.' ? '' : `cd ${projectName} && `}${PackageManager.install(packageManager)}`,
+      cause: error
+    });
   }
-)
-
-export interface ButtonProps
-  extends React.ButtonHTMLAttributes<HTMLButtonElement>,
-    VariantProps<typeof buttonVariants> {
-  asChild?: boolean
+  
+  Logger.log(chalk.green('✅ Dependencies installed successfully'));
 }
 
-const Button = React.forwardRef<HTMLButtonElement, ButtonProps>(
-  ({ className, variant, size, asChild = false, ...props }, ref) => {
-    const Comp = asChild ? Slot : "button"
-    return (
-      <Comp
-        className={cn(buttonVariants({ variant, size, className }))}
-        ref={ref}
-        {...props}
-      />
-    )
+// Install what a generator added to package.json, now that it is written.
+// A failed install is reported, the generated files stay.
+async function installAddedPackages(skipInstall) {
+  const packageManager = await PackageManager.resolve();
+  const install = PackageManager.install(packageManager);
+
+  if (skipInstall) {
+    Logger.nextSteps([{ text: `Install ${Requirements.added.join(', ')}: ${install}`, command: install }]);
+    return;
   }
-)
-Button.displayName = "Button"
-
-export { Button, buttonVariants }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/button.tsx'), buttonContent);
-
-  // Create Card component
-  const cardContent = `import * as React from "react"
-import { cn } from "@/lib/utils"
-
-const Card = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div
-    ref={ref}
-    className={cn(
-      "rounded-lg border bg-card text-card-foreground shadow-sm",
-      className
-    )}
-    {...props}
-  />
-))
-Card.displayName = "Card"
-
-const CardHeader = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div
-    ref={ref}
-    className={cn("flex flex-col space-y-1.5 p-6", className)}
-    {...props}
-  />
-))
-CardHeader.displayName = "CardHeader"
-
-const CardTitle = React.forwardRef<
-  HTMLParagraphElement,
-  React.HTMLAttributes<HTMLHeadingElement>
->(({ className, ...props }, ref) => (
-  <h3
-    ref={ref}
-    className={cn(
-      "text-2xl font-semibold leading-none tracking-tight",
-      className
-    )}
-    {...props}
-  />
-))
-CardTitle.displayName = "CardTitle"
-
-const CardDescription = React.forwardRef<
-  HTMLParagraphElement,
-  React.HTMLAttributes<HTMLParagraphElement>
->(({ className, ...props }, ref) => (
-  <p
-    ref={ref}
-    className={cn("text-sm text-muted-foreground", className)}
-    {...props}
-  />
-))
-CardDescription.displayName = "CardDescription"
-
-const CardContent = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div ref={ref} className={cn("p-6 pt-0", className)} {...props} />
-))
-CardContent.displayName = "CardContent"
-
-const CardFooter = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div
-    ref={ref}
-    className={cn("flex items-center p-6 pt-0", className)}
-    {...props}
-  />
-))
-CardFooter.displayName = "CardFooter"
-
-export { Card, CardHeader, CardFooter, CardTitle, CardDescription, CardContent }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/card.tsx'), cardContent);
-
-  // Add other essential UI components
-  await createFormComponents(projectPath);
-  await createInputComponents(projectPath);
-}
 
-async function createFormComponents(projectPath) {
-  const formContent = `import * as React from "react"
-import * as LabelPrimitive from "@radix-ui/react-label"
-import { Slot } from "@radix-ui/react-slot"
-import {
-  Controller,
-  ControllerProps,
-  FieldPath,
-  FieldValues,
-  FormProvider,
-  useFormContext,
-} from "react-hook-form"
-import { cn } from "@/lib/utils"
-import { Label } from "@/components/ui/label"
-
-const Form = FormProvider
-
-type FormFieldContextValue<
-  TFieldValues extends FieldValues = FieldValues,
-  TName extends FieldPath<TFieldValues> = FieldPath<TFieldValues>
-> = {
-  name: TName
+  try {
+    await installDependencies('.', packageManager);
+  } catch (error) {
+    reportError('Could not install dependencies', error);
+  }
 }
 
-const FormFieldContext = React.createContext<FormFieldContextValue>(
-  {} as FormFieldContextValue
-)
-
-const FormField = <
-  TFieldValues extends FieldValues = FieldValues,
-  TName extends FieldPath<TFieldValues> = FieldPath<TFieldValues>
->({
-  ...props
-}: ControllerProps<TFieldValues, TName>) => {
-  return (
-    <FormFieldContext.Provider value={{ name: props.name }}>
-      <Controller {...props} />
-    </FormFieldContext.Provider>
-  )
+async function isInsideGitRepository(dir) {
+  try {
+    const { stdout } = await execa('git', ['rev-parse', '--is-inside-work-tree'], { cwd: dir });
+    return stdout.trim() === 'true';
+  } catch (error) {
+    return false;
+  }
 }
 
-const useFormField = () => {
-  const fieldContext = React.useContext(FormFieldContext)
-  const itemContext = React.useContext(FormItemContext)
-  const { getFieldState, formState } = useFormContext()
-
-  const fieldState = getFieldState(fieldContext.name, formState)
+// Put the new project under version control with the scaffold as the first
+// commit, so generator runs can be reviewed as diffs. Inside an existing
+// repository the project is left to it. A failure only warns: the project
+// itself is complete.
+async function initializeGitRepository(projectName) {
+  const projectPath = path.resolve(projectName);
 
-  if (!fieldContext) {
-    throw new Error("useFormField should be used within <FormField>")
+  if (await isInsideGitRepository(projectPath)) {
+    Logger.log(chalk.gray('⏭️  Skipped git init, the project is inside a git repository'));
+    return;
   }
 
-  const { id } = itemContext
-
-  return {
-    id,
-    name: fieldContext.name,
-    formItemId: \`\${id}-form-item\`,
-    formDescriptionId: \`\${id}-form-item-description\`,
-    formMessageId: \`\${id}-form-item-message\`,
-    ...fieldState,
+  try {
+    await execa('git', ['init'], { cwd: projectPath });
+  } catch (error) {
+    Logger.warn(`⚠️  Could not initialize a git repository: ${error.shortMessage || error.message}`);
+    return;
   }
-}
 
-type FormItemContextValue = {
-  id: string
-}
-
-const FormItemContext = React.createContext<FormItemContextValue>(
-  {} as FormItemContextValue
-)
-
-const FormItem = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => {
-  const id = React.useId()
-
-  return (
-    <FormItemContext.Provider value={{ id }}>
-      <div ref={ref} className={cn("space-y-2", className)} {...props} />
-    </FormItemContext.Provider>
-  )
-})
-FormItem.displayName = "FormItem"
-
-const FormLabel = React.forwardRef<
-  React.ElementRef<typeof LabelPrimitive.Root>,
-  React.ComponentPropsWithoutRef<typeof LabelPrimitive.Root>
->(({ className, ...props }, ref) => {
-  const { error, formItemId } = useFormField()
-
-  return (
-    <Label
-      ref={ref}
-      className={cn(error && "text-destructive", className)}
-      htmlFor={formItemId}
-      {...props}
-    />
-  )
-})
-FormLabel.displayName = "FormLabel"
-
-const FormControl = React.forwardRef<
-  React.ElementRef<typeof Slot>,
-  React.ComponentPropsWithoutRef<typeof Slot>
->(({ ...props }, ref) => {
-  const { error, formItemId, formDescriptionId, formMessageId } = useFormField()
-
-  return (
-    <Slot
-      ref={ref}
-      id={formItemId}
-      aria-describedby={
-        !error
-          ? \`\${formDescriptionId}\`
-          : \`\${formDescriptionId} \${formMessageId}\`
-      }
-      aria-invalid={!!error}
-      {...props}
-    />
-  )
-})
-FormControl.displayName = "FormControl"
-
-const FormDescription = React.forwardRef<
-  HTMLParagraphElement,
-  React.HTMLAttributes<HTMLParagraphElement>
->(({ className, ...props }, ref) => {
-  const { formDescriptionId } = useFormField()
-
-  return (
-    <p
-      ref={ref}
-      id={formDescriptionId}
-      className={cn("text-sm text-muted-foreground", className)}
-      {...props}
-    />
-  )
-})
-FormDescription.displayName = "FormDescription"
-
-const FormMessage = React.forwardRef<
-  HTMLParagraphElement,
-  React.HTMLAttributes<HTMLParagraphElement>
->(({ className, children, ...props }, ref) => {
-  const { error, formMessageId } = useFormField()
-  const body = error ? String(error?.message) : children
-
-  if (!body) {
-    return null
+  try {
+    await execa('git', ['add', '-A'], { cwd: projectPath });
+    await execa('git', ['commit', '-m', 'Initial commit from WorkEase'], { cwd: projectPath });
+  } catch (error) {
+    Logger.warn('⚠️  Initialized a git repository but could not create the initial commit:', [
+      (error.stderr || error.message).trim().split('\n')[0],
+      `Commit the staged files yourself: cd ${projectName} && git commit -m "Initial commit"`
+    ]);
+    return;
   }
 
-  return (
-    <p
-      ref={ref}
-      id={formMessageId}
-      className={cn("text-sm font-medium text-destructive", className)}
-      {...props}
-    >
-      {body}
-    </p>
-  )
-})
-FormMessage.displayName = "FormMessage"
-
-export {
-  useFormField,
-  Form,
-  FormItem,
-  FormLabel,
-  FormControl,
-  FormDescription,
-  FormField,
-  FormMessage,
-}`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/form.tsx'), formContent);
-
-  // Create Label component
-  const labelContent = `import * as React from "react"
-import * as LabelPrimitive from "@radix-ui/react-label"
-import { cva, type VariantProps } from "class-variance-authority"
-import { cn } from "@/lib/utils"
-
-const labelVariants = cva(
-  "text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
-)
-
-const Label = React.forwardRef<
-  React.ElementRef<typeof LabelPrimitive.Root>,
-  React.ComponentPropsWithoutRef<typeof LabelPrimitive.Root> &
-    VariantProps<typeof labelVariants>
->(({ className, ...props }, ref) => (
-  <LabelPrimitive.Root
-    ref={ref}
-    className={cn(labelVariants(), className)}
-    {...props}
-  />
-))
-Label.displayName = LabelPrimitive.Root.displayName
-
-export { Label }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/label.tsx'), labelContent);
+  Logger.log(chalk.green('✅ Initialized a git repository with an initial commit'));
 }
 
-async function createInputComponents(projectPath) {
-  // Create Input component
-  const inputContent = `import * as React from "react"
-import { cn } from "@/lib/utils"
-
-export interface InputProps
-  extends React.InputHTMLAttributes<HTMLInputElement> {}
-
-const Input = React.forwardRef<HTMLInputElement, InputProps>(
-  ({ className, type, ...props }, ref) => {
-    return (
-      <input
-        type={type}
-        className={cn(
-          "flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",
-          className
-        )}
-        ref={ref}
-        {...props}
-      />
-    )
-  }
-)
-Input.displayName = "Input"
-
-export { Input }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/input.tsx'), inputContent);
-
-  // Create Textarea component
-  const textareaContent = `import * as React from "react"
-import { cn } from "@/lib/utils"
-
-export interface TextareaProps
-  extends React.TextareaHTMLAttributes<HTMLTextAreaElement> {}
-
-const Textarea = React.forwardRef<HTMLTextAreaElement, TextareaProps>(
-  ({ className, ...props }, ref) => {
-    return (
-      <textarea
-        className={cn(
-          "flex min-h-[80px] w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",
-          className
-        )}
-        ref={ref}
-        {...props}
-      />
-    )
-  }
-)
-Textarea.displayName = "Textarea"
-
-export { Textarea }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/textarea.tsx'), textareaContent);
-
-  // Create Select component (simplified version)
-  const selectContent = `import * as React from "react"
-import { cn } from "@/lib/utils"
-
-export interface SelectProps
-  extends React.SelectHTMLAttributes<HTMLSelectElement> {}
-
-const Select = React.forwardRef<HTMLSelectElement, SelectProps>(
-  ({ className, children, ...props }, ref) => {
-    return (
-      <select
-        className={cn(
-          "flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",
-          className
-        )}
-        ref={ref}
-        {...props}
-      >
-        {children}
-      </select>
-    )
-  }
-)
-Select.displayName = "Select"
-
-// For compatibility with Radix UI Select API
-export const SelectTrigger = Select
-export const SelectContent = ({ children }: { children: React.ReactNode }) => <>{children}</>
-export const SelectItem = ({ children, value }: { children: React.ReactNode, value: string }) => (
-  <option value={value}>{children}</option>
-)
-export const SelectValue = ({ placeholder }: { placeholder?: string }) => <option value="">{placeholder}</option>
-
-export { Select }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/select.tsx'), selectContent);
-
-  // Create Switch component (simplified)
-  const switchContent = `import * as React from "react"
-import { cn } from "@/lib/utils"
-
-export interface SwitchProps
-  extends React.InputHTMLAttributes<HTMLInputElement> {}
-
-const Switch = React.forwardRef<HTMLInputElement, SwitchProps>(
-  ({ className, ...props }, ref) => {
-    return (
-      <input
-        type="checkbox"
-        className={cn(
-          "peer inline-flex h-6 w-11 shrink-0 cursor-pointer items-center rounded-full border-2 border-transparent transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 focus-visible:ring-offset-background disabled:cursor-not-allowed disabled:opacity-50 data-[state=checked]:bg-primary data-[state=unchecked]:bg-input",
-          className
-        )}
-        ref={ref}
-        {...props}
-      />
-    )
-  }
-)
-Switch.displayName = "Switch"
-
-export { Switch }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/switch.tsx'), switchContent);
-
-  // Create basic Tabs component
-  const tabsContent = `import * as React from "react"
-import { cn } from "@/lib/utils"
-
-const Tabs = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement> & { defaultValue?: string }
->(({ className, ...props }, ref) => (
-  <div ref={ref} className={cn("w-full", className)} {...props} />
-))
-Tabs.displayName = "Tabs"
-
-const TabsList = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement>
->(({ className, ...props }, ref) => (
-  <div
-    ref={ref}
-    className={cn(
-      "inline-flex h-10 items-center justify-center rounded-md bg-muted p-1 text-muted-foreground",
-      className
-    )}
-    {...props}
-  />
-))
-TabsList.displayName = "TabsList"
-
-const TabsTrigger = React.forwardRef<
-  HTMLButtonElement,
-  React.ButtonHTMLAttributes<HTMLButtonElement> & { value: string }
->(({ className, ...props }, ref) => (
-  <button
-    ref={ref}
-    className={cn(
-      "inline-flex items-center justify-center whitespace-nowrap rounded-sm px-3 py-1.5 text-sm font-medium ring-offset-background transition-all focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm",
-      className
-    )}
-    {...props}
-  />
-))
-TabsTrigger.displayName = "TabsTrigger"
-
-const TabsContent = React.forwardRef<
-  HTMLDivElement,
-  React.HTMLAttributes<HTMLDivElement> & { value: string }
->(({ className, ...props }, ref) => (
-  <div
-    ref={ref}
-    className={cn(
-      "mt-2 ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2",
-      className
-    )}
-    {...props}
-  />
-))
-TabsContent.displayName = "TabsContent"
-
-export { Tabs, TabsList, TabsTrigger, TabsContent }`;
-
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/tabs.tsx'), tabsContent);
-
-  // Add the missing Badge component
-  const badgeContent = `import * as React from "react"
-import { cva, type VariantProps } from "class-variance-authority"
-import { cn } from "@/lib/utils"
-
-const badgeVariants = cva(
-  "inline-flex items-center rounded-full border px-2.5 py-0.5 text-xs font-semibold transition-colors focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2",
-  {
-    variants: {
-      variant: {
-        default:
-          "border-transparent bg-primary text-primary-foreground hover:bg-primary/80",
-        secondary:
-          "border-transparent bg-secondary text-secondary-foreground hover:bg-secondary/80",
-        destructive:
-          "border-transparent bg-destructive text-destructive-foreground hover:bg-destructive/80",
-        outline: "text-foreground",
-      },
-    },
-    defaultVariants: {
-      variant: "default",
-    },
+// List safety findings with their rule and hint, and add them to the --json result
+function printSafetyFindings(findings, { fix = false } = {}) {
+  const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+  for (const finding of findings) {
+    Logger.finding({
+      rule: finding.rule,
+      severity: finding.severity,
+      file: finding.file,
+      message: finding.message,
+      fixed: Boolean(finding.fixed)
+    });
+    const text = `${icons[finding.severity]} ${chalk.cyan(finding.file)}: ${finding.message} ${chalk.gray(`(${finding.rule})`)}`;
+    Logger.log(finding.severity === 'error' ? chalk.red(text) : chalk.yellow(text));
+    if (finding.fixed) {
+      Logger.log(chalk.green('   🔧 Fixed'));
+    } else if (fix && finding.fix) {
+      Logger.log(chalk.gray('   🔧 Would fix'));
+    }
+    if (finding.hint) Logger.log(chalk.gray(`   ${finding.hint}`));
   }
-)
+}
 
-export interface BadgeProps
-  extends React.HTMLAttributes<HTMLDivElement>,
-    VariantProps<typeof badgeVariants> {}
+// Safety command to check existing projects: reports by default, --fix
+// applies the fixes the rules have
+program
+  .command('check')
+  .alias('safety')
+  .option('--fix', 'apply the fixes the rules have (see --dry-run)')
+  .option('--plugins', 'also run the safety rules of the project\'s plugins (this runs their code)')
+  .description('Check current project for safety issues: install scripts, destructive Prisma commands, committed secrets and databases, auth defaults')
+  .action(async (options) => {
+    Logger.log(chalk.blue('🔍 Running WorkEase safety check...'));
 
-function Badge({ className, variant, ...props }: BadgeProps) {
-  return (
-    <div className={cn(badgeVariants({ variant }), className)} {...props} />
-  )
-}
+    try {
+      assertProjectRoot();
 
-export { Badge, badgeVariants }`;
+      if (options.plugins) {
+        await Plugins.load(FileLayer.root);
+        Plugins.reportFailures();
+      }
 
-  await fs.writeFile(path.join(projectPath, 'src/components/ui/badge.tsx'), badgeContent);
-}
+      const findings = await Safety.run(FileLayer.root);
+      for (const finding of findings) {
+        if (options.fix && finding.fix) await finding.fix();
+        // A dry run only reports the fixes, so the project is still unsafe
+        finding.fixed = Boolean(options.fix && finding.fix && !FileLayer.dryRun);
+      }
+      printSafetyFindings(findings, { fix: options.fix });
+
+      const unfixed = findings.filter(finding => finding.severity === 'error' && !finding.fixed);
+      if (unfixed.length > 0) {
+        const fixable = unfixed.filter(finding => finding.fix).length;
+        throw WorkEaseError.safetyViolation(`${unfixed.length} unsafe setting(s) found`, {
+          hint: fixable > 0 && (!options.fix || FileLayer.dryRun)
+            ? `Run workease check --fix to fix ${fixable} of them`
+            : `Fix them by hand, or configure the rules under "safety" in ${ProjectConfig.fileName}`
+        });
+      }
 
-async function installDependencies(projectName, template) {
-  try {
-    const projectPath = path.resolve(projectName);
-    
-    // Read package.json to ensure no unsafe postinstall scripts
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    const packageJson = await fs.readJSON(packageJsonPath);
-    
-    // Safety check: Remove any postinstall scripts that run prisma generate
-    if (packageJson.scripts && packageJson.scripts.postinstall) {
-      if (packageJson.scripts.postinstall.includes('prisma generate')) {
-        console.log(chalk.yellow('⚠️  Removing unsafe postinstall script to prevent file system issues'));
-        delete packageJson.scripts.postinstall;
-        await fs.writeJSON(packageJsonPath, packageJson, { spaces: 2 });
+      if (findings.length === 0) {
+        Logger.log(chalk.green('✅ No safety issues found'));
+      } else {
+        Logger.log(chalk.green(`✅ No unsafe settings left (${findings.filter(finding => !finding.fixed).length} warning(s))`));
       }
+    } catch (error) {
+      // The fixes that were made are kept when unsafe settings remain
+      if (error.category !== 'safety-violation') FileLayer.discard();
+      reportError('Safety check failed', error);
     }
-    
-    // Install dependencies using npm
-    console.log(chalk.blue('📦 Installing dependencies...'));
-    
-    await execa('npm', ['install'], {
-      cwd: projectPath,
-      stdio: 'inherit'
-    });
-    
-    console.log(chalk.green('✅ Dependencies installed successfully'));
-    
-  } catch (error) {
-    console.error(chalk.red('❌ Failed to install dependencies:'), error.message);
-    console.log(chalk.yellow('💡 You can manually install dependencies by running: npm install'));
-  }
-}
+  });
 
-// Safety command to check existing projects
+// Health check of the things the generated code depends on
 program
-  .command('check')
-  .alias('safety')
-  .description('Check current project for safety issues')
+  .command('doctor')
+  .description('Check the project: Node.js version, dependencies, Prisma schema, environment and layout')
   .action(async () => {
-    console.log(chalk.blue('🔍 Running WorkEase safety check...'));
-    
+    Logger.log(chalk.blue('🩺 Running WorkEase doctor...\n'));
+
     try {
-      await validateProjectSafety(process.cwd());
-      console.log(chalk.green('✅ Project safety check completed'));
+      assertProjectRoot();
+
+      const checks = await Doctor.run(process.cwd());
+      const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+      const colors = { pass: chalk.green, warn: chalk.yellow, fail: chalk.red };
+
+      for (const check of checks) {
+        Logger.log(colors[check.status](`${icons[check.status]} ${check.name}: ${check.message}`));
+        for (const problem of check.problems) {
+          Logger.log(`   - ${chalk.cyan(problem.file)}: ${problem.message}`);
+          Logger.finding({
+            rule: check.rule,
+            severity: check.status === 'fail' ? 'error' : 'warning',
+            file: problem.file,
+            message: problem.message,
+            fixed: false
+          });
+        }
+      }
+
+      const count = status => checks.filter(check => check.status === status).length;
+      Logger.log(chalk.gray(`\n${count('pass')} passed, ${count('warn')} with warnings, ${count('fail')} failed`));
+
+      if (count('fail') > 0) {
+        throw WorkEaseError.unhealthyProject(`${count('fail')} check(s) failed`);
+      }
     } catch (error) {
-      console.error(chalk.red('❌ Safety check failed:'), error.message);
+      reportError('Doctor found problems', error);
     }
   });
 
-// Virtual testing command
+// Virtual testing command: the real project creation (and generators) run
+// against the in-memory file system, nothing reaches the disk
 program
   .command('test')
   .alias('virtual')
-  .description('Run CLI in virtual mode for safe testing')
+  .description('Create a project in memory with the real templates and generators, then run the safety rules on it')
   .option('--template <template>', 'Template to test', 'fullstack')
+  .option('--generate <generators...>', 'generators to run on the project, as type or type:Name (e.g. model:Product table:Product)')
   .action(async (options) => {
-    console.log(chalk.blue.bold('🧪 Virtual Testing Mode - No Real File Operations'));
-    console.log(chalk.gray('This simulates CLI operations without touching your file system\n'));
-    
+    Logger.log(chalk.blue.bold('🧪 Virtual Testing Mode - No Real File Operations'));
+    Logger.log(chalk.gray('This runs the real project creation against an in-memory file system\n'));
+
     const testProjectName = 'virtual-test-project';
-    
-    console.log(chalk.yellow('📋 What would happen with real execution:'));
-    console.log(chalk.white(`   Project: ${testProjectName}`));
-    console.log(chalk.white(`   Template: ${options.template}`));
-    
-    // Simulate project creation
-    console.log(chalk.blue('\n🔍 Simulating project creation...'));
-    
+    const projectPath = path.resolve(testProjectName);
+    FileLayer.reset({ root: projectPath, virtual: true });
+    Logger.result.dryRun = true;
+    // Generators take their defaults for anything not given
+    Prompter.interactive = false;
+
     try {
-      await simulateProjectCreation(testProjectName, options.template);
-      console.log(chalk.green('\n✅ Virtual test completed successfully!'));
-      console.log(chalk.gray('No files were actually created on your system.'));
+      const projectTemplate = await ProjectTemplate.load(options.template);
+      Logger.log(chalk.white(`   Project: ${testProjectName}`));
+      Logger.log(chalk.white(`   Template: ${projectTemplate.title}`));
+
+      Logger.log(chalk.blue('\n🔍 Creating the project...'));
+      await FileLayer.ensureDir(projectPath);
+      await ProjectTemplate.create(projectPath, projectTemplate, { projectName: testProjectName });
+
+      for (const generator of options.generate || []) {
+        const [type, name] = generator.split(':');
+        const generatorType = Generator.resolveType(type);
+        Logger.log(chalk.blue(`\n🛠️ Generating ${generatorType}${name ? ` ${name}` : ''}...`));
+        await Generator.generate(generatorType, { name, yes: true });
+      }
+
+      Logger.log(chalk.blue('\n📁 Resulting files:'));
+      printVirtualTree(testProjectName);
+
+      const packageJson = await FileLayer.readJSON(path.join(projectPath, 'package.json'));
+      Logger.log(chalk.blue('\n📦 Would install dependencies:'));
+      Logger.log(chalk.gray(`   - ${Object.keys(packageJson.dependencies || {}).join(', ')}`));
+      Logger.log(chalk.gray(`   - ${Object.keys(packageJson.devDependencies || {}).join(', ')} (dev)`));
+
+      Logger.log(chalk.blue('\n🔒 Safety check:'));
+      const findings = await Safety.run(projectPath);
+      printSafetyFindings(findings);
+
+      const errors = findings.filter(finding => finding.severity === 'error').length;
+      if (errors > 0) {
+        throw WorkEaseError.safetyViolation(`The ${projectTemplate.title} project has ${errors} unsafe setting(s)`, {
+          hint: 'Fix the template or generator that produces them'
+        });
+      }
+      if (findings.length === 0) {
+        Logger.log(chalk.green('✅ No safety issues found'));
+      }
+
+      Logger.log(chalk.green('\n✅ Virtual test completed successfully!'));
+      Logger.log(chalk.gray('No files were actually created on your system.'));
     } catch (error) {
-      console.error(chalk.red('❌ Virtual test failed:'), error.message);
+      reportError('Virtual test failed', error);
     }
   });
 
-// Virtual simulation function for safe testing
-async function simulateProjectCreation(projectName, template) {
-  console.log(chalk.blue('📁 Would create directory:'), chalk.white(projectName));
-  
-  // Simulate package.json analysis
-  console.log(chalk.blue('📄 Would generate package.json with scripts:'));
-  
-  const baseScripts = {
-    "dev": "next dev",
-    "build": "next build", 
-    "start": "next start",
-    "lint": "next lint"
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// The files of the virtual project as a tree, folders first, with their sizes
+function printVirtualTree(rootName) {
+  const root = { children: new Map(), size: null };
+  const add = (parts, size) => {
+    let node = root;
+    for (const part of parts) {
+      if (!node.children.has(part)) node.children.set(part, { children: new Map(), size: null });
+      node = node.children.get(part);
+    }
+    node.size = size;
   };
-  
-  let additionalScripts = {};
-  
-  switch (template) {
-    case 'fullstack':
-      additionalScripts = {
-        "db:generate": "prisma generate",
-        "db:setup": "prisma generate && prisma db push",
-        "db:check": "prisma validate && echo 'Schema is valid'"
-      };
-      break;
-    case 'api':
-      additionalScripts = {
-        "db:generate": "prisma generate",
-        "db:setup": "prisma generate && prisma db push", 
-        "db:check": "prisma validate && echo 'Schema is valid'"
-      };
-      break;
-    case 'dashboard':
-      additionalScripts = {
-        "db:generate": "prisma generate",
-        "db:setup": "prisma generate && prisma db push",
-        "db:check": "prisma validate && echo 'Schema is valid'",
-        "postinstall": "echo '✅ WorkEase dashboard project created successfully! Run: npm run db:setup to initialize database'"
-      };
-      break;
-  }
-  
-  const allScripts = { ...baseScripts, ...additionalScripts };
-  
-  Object.entries(allScripts).forEach(([script, command]) => {
-    const isPostinstall = script === 'postinstall';
-    const isSafe = !command.includes('prisma generate') || !isPostinstall;
-    const status = isSafe ? chalk.green('✅ SAFE') : chalk.red('⚠️  POTENTIALLY UNSAFE');
-    
-    console.log(`   ${chalk.cyan(script)}: ${chalk.gray(command)} ${status}`);
-  });
-  
-  // Safety analysis
-  console.log(chalk.blue('\n🔒 Safety Analysis:'));
-  
-  const hasUnsafePostinstall = additionalScripts.postinstall && 
-    additionalScripts.postinstall.includes('prisma generate');
-    
-  if (hasUnsafePostinstall) {
-    console.log(chalk.red('❌ DANGER: postinstall script runs Prisma generate'));
-    console.log(chalk.yellow('   This could cause file system corruption!'));
-  } else {
-    console.log(chalk.green('✅ No unsafe postinstall scripts detected'));
-  }
-  
-  console.log(chalk.blue('\n📦 Would install dependencies:'));
-  console.log(chalk.gray('   - next, react, typescript (base)'));
-  
-  if (['fullstack', 'api', 'dashboard'].includes(template)) {
-    console.log(chalk.gray('   - @prisma/client, prisma (database)'));
-  }
-  
-  if (['fullstack', 'frontend', 'dashboard'].includes(template)) {
-    console.log(chalk.gray('   - tailwindcss, autoprefixer (styling)'));
-  }
-  
-  console.log(chalk.blue('\n📁 Would create file structure:'));
-  console.log(chalk.gray('   ├── src/app/'));
-  console.log(chalk.gray('   ├── src/components/'));
-  console.log(chalk.gray('   ├── src/lib/'));
-  
-  if (['fullstack', 'api', 'dashboard'].includes(template)) {
-    console.log(chalk.gray('   ├── prisma/'));
+
+  for (const dir of FileLayer.dirs) {
+    const relativePath = path.relative(FileLayer.root, dir);
+    if (relativePath && !relativePath.startsWith('..')) add(relativePath.split(path.sep), null);
   }
-  
-  console.log(chalk.gray('   ├── package.json'));
-  console.log(chalk.gray('   ├── tsconfig.json'));
-  console.log(chalk.gray('   └── README.md'));
-  
-  // Simulate delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  const files = FileLayer.changes().filter(change => change.content !== null);
+  files.forEach(file => add(file.path.split(path.sep), Buffer.byteLength(file.content)));
+
+  const print = (node, prefix) => {
+    const entries = [...node.children].sort(([nameA, a], [nameB, b]) =>
+      (a.size === null) === (b.size === null) ? nameA.localeCompare(nameB) : a.size === null ? -1 : 1);
+
+    entries.forEach(([name, child], index) => {
+      const last = index === entries.length - 1;
+      const label = child.size === null ? chalk.blue(`${name}/`) : `${name} ${chalk.gray(`(${formatSize(child.size)})`)}`;
+      Logger.log(`   ${prefix}${last ? '└── ' : '├── '}${label}`);
+      if (child.size === null) print(child, `${prefix}${last ? '    ' : '│   '}`);
+    });
+  };
+
+  Logger.log(`   ${chalk.blue(`${rootName}/`)}`);
+  print(root, '');
+  const total = files.reduce((sum, file) => sum + Buffer.byteLength(file.content), 0);
+  Logger.log(chalk.gray(`\n   ${files.length} files, ${formatSize(total)}`));
 }
 
-program.parse();
+await program.parseAsync();
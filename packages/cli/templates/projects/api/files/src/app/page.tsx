@@ -0,0 +1,26 @@
+export default function Home() {
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto">
+        <h1 className="text-3xl font-bold text-center mb-6">
+          WorkEase API Server
+        </h1>
+        
+        <div className="bg-gray-100 p-6 rounded-lg">
+          <h2 className="text-xl font-semibold mb-4">API Endpoints:</h2>
+          <ul className="space-y-2">
+            <li><code className="bg-white px-2 py-1 rounded">GET /api/health</code> - Health check</li>
+            <li><code className="bg-white px-2 py-1 rounded">GET /api/users</code> - Get all users</li>
+            <li><code className="bg-white px-2 py-1 rounded">POST /api/users</code> - Create user</li>
+          </ul>
+        </div>
+
+        <div className="mt-6 p-4 bg-blue-50 rounded-lg">
+          <p className="text-blue-800">
+            🚀 Your API server is ready! Start building your endpoints.
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
\ No newline at end of file
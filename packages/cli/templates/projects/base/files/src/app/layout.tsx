@@ -0,0 +1,19 @@
+import type { Metadata } from 'next'
+
+
+export const metadata: Metadata = {
+  title: 'WorkEase App',
+  description: 'Built with WorkEase Framework',
+}
+
+export default function RootLayout({
+  children,
+}: {
+  children: React.ReactNode
+}) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  )
+}
@@ -0,0 +1,30 @@
+export default function Home() {
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto text-center">
+        <h1 className="text-4xl font-bold mb-6">
+          Welcome to Your WorkEase Frontend
+        </h1>
+        
+        <p className="text-xl text-gray-600 mb-8">
+          A modern frontend application built with Next.js, TypeScript, and Tailwind CSS.
+        </p>
+
+        <div className="grid md:grid-cols-3 gap-6 mt-12">
+          <div className="p-6 bg-white rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold mb-2">⚡ Fast</h3>
+            <p className="text-gray-600">Optimized for performance with Next.js</p>
+          </div>
+          <div className="p-6 bg-white rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold mb-2">🎨 Beautiful</h3>
+            <p className="text-gray-600">Styled with Tailwind CSS</p>
+          </div>
+          <div className="p-6 bg-white rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold mb-2">🔒 Type Safe</h3>
+            <p className="text-gray-600">Built with TypeScript</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
\ No newline at end of file
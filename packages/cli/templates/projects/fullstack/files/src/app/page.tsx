@@ -0,0 +1,49 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+
+export default function Home() {
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-4xl font-bold text-center mb-8">
+          Welcome to Your WorkEase App
+        </h1>
+        
+        <div className="grid md:grid-cols-2 gap-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>🚀 Get Started</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-gray-600 mb-4">
+                Your full-stack application is ready! Start building amazing features.
+              </p>
+              <ul className="list-disc list-inside space-y-2 text-sm text-gray-600">
+                <li>Database ready with Prisma</li>
+                <li>TypeScript configured</li>
+                <li>Tailwind CSS for styling</li>
+                <li>API routes set up</li>
+              </ul>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>📚 Resources</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-gray-600 mb-4">
+                Helpful links to get you productive quickly:
+              </p>
+              <ul className="list-disc list-inside space-y-2 text-sm text-gray-600">
+                <li>WorkEase Documentation</li>
+                <li>Next.js App Router Guide</li>
+                <li>Prisma Documentation</li>
+                <li>Tailwind CSS Reference</li>
+              </ul>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
\ No newline at end of file
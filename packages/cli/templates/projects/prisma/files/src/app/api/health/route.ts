@@ -0,0 +1,9 @@
+import { NextResponse } from 'next/server';
+
+export async function GET() {
+  return NextResponse.json({ 
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    message: 'WorkEase API is running'
+  });
+}
@@ -0,0 +1,87 @@
+"use client"
+
+import * as React from "react"
+import { Bold, Italic, List, ListOrdered, Underline } from "lucide-react"
+import { cn } from "@/lib/utils"
+
+export interface RichTextEditorProps {
+  value?: string
+  onChange?: (value: string) => void
+  onBlur?: () => void
+  name?: string
+  placeholder?: string
+  disabled?: boolean
+  className?: string
+}
+
+const commands = [
+  { command: "bold", label: "Bold", icon: Bold },
+  { command: "italic", label: "Italic", icon: Italic },
+  { command: "underline", label: "Underline", icon: Underline },
+  { command: "insertUnorderedList", label: "Bulleted list", icon: List },
+  { command: "insertOrderedList", label: "Numbered list", icon: ListOrdered },
+]
+
+// A contentEditable editor whose value is HTML, so it can be used as a
+// react-hook-form field: <RichTextEditor {...field} />
+const RichTextEditor = React.forwardRef<HTMLDivElement, RichTextEditorProps>(
+  ({ value = "", onChange, onBlur, name, placeholder, disabled, className }, ref) => {
+    const editorRef = React.useRef<HTMLDivElement>(null)
+    React.useImperativeHandle(ref, () => editorRef.current as HTMLDivElement)
+
+    // Only sync outside changes, rewriting the content while typing moves the caret
+    React.useEffect(() => {
+      if (editorRef.current && editorRef.current.innerHTML !== value) {
+        editorRef.current.innerHTML = value
+      }
+    }, [value])
+
+    const format = (command: string) => {
+      editorRef.current?.focus()
+      document.execCommand(command)
+      onChange?.(editorRef.current?.innerHTML ?? "")
+    }
+
+    return (
+      <div
+        className={cn(
+          "rounded-md border border-input bg-background ring-offset-background focus-within:ring-2 focus-within:ring-ring focus-within:ring-offset-2",
+          disabled && "cursor-not-allowed opacity-50",
+          className
+        )}
+      >
+        <div className="flex gap-1 border-b border-input p-1">
+          {commands.map(({ command, label, icon: Icon }) => (
+            <button
+              key={command}
+              type="button"
+              title={label}
+              aria-label={label}
+              disabled={disabled}
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => format(command)}
+              className="inline-flex h-8 w-8 items-center justify-center rounded-sm text-muted-foreground hover:bg-accent hover:text-accent-foreground"
+            >
+              <Icon className="h-4 w-4" />
+            </button>
+          ))}
+        </div>
+        <div
+          ref={editorRef}
+          role="textbox"
+          aria-multiline="true"
+          aria-label={name}
+          data-placeholder={placeholder}
+          contentEditable={!disabled}
+          suppressContentEditableWarning
+          onInput={(event) => onChange?.(event.currentTarget.innerHTML)}
+          onBlur={onBlur}
+          className="prose prose-sm min-h-[120px] max-w-none px-3 py-2 text-sm focus:outline-none empty:before:text-muted-foreground empty:before:content-[attr(data-placeholder)]"
+        />
+      </div>
+    )
+  }
+)
+RichTextEditor.displayName = "RichTextEditor"
+
+export { RichTextEditor }
@@ -0,0 +1,33 @@
+import * as React from "react"
+import { cn } from "@/lib/utils"
+
+export interface SelectProps
+  extends React.SelectHTMLAttributes<HTMLSelectElement> {}
+
+const Select = React.forwardRef<HTMLSelectElement, SelectProps>(
+  ({ className, children, ...props }, ref) => {
+    return (
+      <select
+        className={cn(
+          "flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",
+          className
+        )}
+        ref={ref}
+        {...props}
+      >
+        {children}
+      </select>
+    )
+  }
+)
+Select.displayName = "Select"
+
+// For compatibility with Radix UI Select API
+export const SelectTrigger = Select
+export const SelectContent = ({ children }: { children: React.ReactNode }) => <>{children}</>
+export const SelectItem = ({ children, value }: { children: React.ReactNode, value: string }) => (
+  <option value={value}>{children}</option>
+)
+export const SelectValue = ({ placeholder }: { placeholder?: string }) => <option value="">{placeholder}</option>
+
+export { Select }
\ No newline at end of file
@@ -0,0 +1,24 @@
+import * as React from "react"
+import { cn } from "@/lib/utils"
+
+export interface SwitchProps
+  extends React.InputHTMLAttributes<HTMLInputElement> {}
+
+const Switch = React.forwardRef<HTMLInputElement, SwitchProps>(
+  ({ className, ...props }, ref) => {
+    return (
+      <input
+        type="checkbox"
+        className={cn(
+          "peer inline-flex h-6 w-11 shrink-0 cursor-pointer items-center rounded-full border-2 border-transparent transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 focus-visible:ring-offset-background disabled:cursor-not-allowed disabled:opacity-50 data-[state=checked]:bg-primary data-[state=unchecked]:bg-input",
+          className
+        )}
+        ref={ref}
+        {...props}
+      />
+    )
+  }
+)
+Switch.displayName = "Switch"
+
+export { Switch }
\ No newline at end of file
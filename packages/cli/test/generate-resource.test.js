@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { generateResource } from '../api.js';
+
+const resource = { name: 'Product', fields: 'name,price:float', route: 'products' };
+
+async function project(t) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'workease-resource-'));
+  t.after(() => fs.remove(root));
+  await fs.writeJSON(path.join(root, 'package.json'), { name: 'resource-test', dependencies: {} });
+  return root;
+}
+
+test('regenerating a resource keeps the edits made to its pages', async (t) => {
+  const cwd = await project(t);
+  await generateResource(resource, { cwd });
+
+  const listPage = path.join(cwd, 'src', 'app', 'products', 'page.tsx');
+  const edited = (await fs.readFile(listPage, 'utf8')).replace(/^/, '// Edited by hand\n');
+  await fs.writeFile(listPage, edited);
+
+  const files = await generateResource(resource, { cwd });
+
+  assert.equal(await fs.readFile(listPage, 'utf8'), edited);
+  assert.ok(!files.some(file => file.path === 'src/app/products/page.tsx'));
+});
+
+test('regenerating a resource with force overwrites the edited pages', async (t) => {
+  const cwd = await project(t);
+  await generateResource(resource, { cwd });
+
+  const listPage = path.join(cwd, 'src', 'app', 'products', 'page.tsx');
+  const generated = await fs.readFile(listPage, 'utf8');
+  await fs.writeFile(listPage, `// Edited by hand\n${generated}`);
+
+  await generateResource({ ...resource, force: true }, { cwd });
+
+  assert.equal(await fs.readFile(listPage, 'utf8'), generated);
+});
@@ -0,0 +1,176 @@
+export class Diff {
+  static splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  // Line-level edit script between two texts: [{ type: ' ' | '-' | '+', line }]
+  static lines(oldText, newText) {
+    const a = this.splitLines(oldText);
+    const b = this.splitLines(newText);
+
+    // Common prefix and suffix don't need the LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const table = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        table[i][j] = midA[i] === midB[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        ops.push({ type: '-', line: midA[i++] });
+      } else {
+        ops.push({ type: '+', line: midB[j++] });
+      }
+    }
+    while (i < midA.length) ops.push({ type: '-', line: midA[i++] });
+    while (j < midB.length) ops.push({ type: '+', line: midB[j++] });
+
+    return ops.concat(a.slice(endA).map(line => ({ type: ' ', line })));
+  }
+
+  // Unified diff (as produced by `diff -u`) between two texts
+  static unified(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+    const ops = this.lines(oldText, newText);
+    const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index >= 0);
+
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows touch into hunks
+    const hunks = [];
+    changed.forEach(index => {
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= context * 2) {
+        last.end = index;
+      } else {
+        hunks.push({ start: index, end: index });
+      }
+    });
+
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+    hunks.forEach(hunk => {
+      const from = Math.max(0, hunk.start - context);
+      const to = Math.min(ops.length - 1, hunk.end + context);
+
+      // Line numbers of the hunk start in the old and new text
+      let oldLine = 1;
+      let newLine = 1;
+      for (let index = 0; index < from; index++) {
+        if (ops[index].type !== '+') oldLine++;
+        if (ops[index].type !== '-') newLine++;
+      }
+
+      const body = ops.slice(from, to + 1);
+      const oldCount = body.filter(op => op.type !== '+').length;
+      const newCount = body.filter(op => op.type !== '-').length;
+
+      const range = (line, count) => (count === 1 ? `${line}` : `${count ? line : line - 1},${count}`);
+      output.push(`@@ -${range(oldLine, oldCount)} +${range(newLine, newCount)} @@`);
+      body.forEach(op => output.push(`${op.type}${op.line}`));
+    });
+
+    return output.join('\n');
+  }
+
+  // Index in `newText` of every line of `oldText` the two texts share
+  static matches(oldText, newText) {
+    const map = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    this.lines(oldText, newText).forEach(op => {
+      if (op.type === ' ') map[oldIndex] = newIndex;
+      if (op.type !== '+') oldIndex++;
+      if (op.type !== '-') newIndex++;
+    });
+
+    return map;
+  }
+
+  // Three-way merge of the changes base -> ours and base -> theirs. Returns the
+  // merged text and the number of conflicts, which are marked in the text.
+  static merge3(base, ours, theirs, { oursLabel = 'ours', theirsLabel = 'theirs' } = {}) {
+    const o = this.splitLines(base);
+    const a = this.splitLines(ours);
+    const b = this.splitLines(theirs);
+    const matchA = this.matches(base, ours);
+    const matchB = this.matches(base, theirs);
+    const result = [];
+    let conflicts = 0;
+
+    const same = (x, y) => x.length === y.length && x.every((line, index) => line === y[index]);
+    const startsWith = (x, y) => x.length >= y.length && same(x.slice(0, y.length), y);
+    const endsWith = (x, y) => x.length >= y.length && same(x.slice(x.length - y.length), y);
+
+    const resolve = (baseChunk, oursChunk, theirsChunk) => {
+      if (same(oursChunk, baseChunk)) return result.push(...theirsChunk);
+      if (same(theirsChunk, baseChunk)) return result.push(...oursChunk);
+      if (same(oursChunk, theirsChunk)) return result.push(...oursChunk);
+
+      // One side only added lines right before or after the region the other
+      // side changed (e.g. a model appended after another one): keep both
+      if (startsWith(oursChunk, baseChunk)) return result.push(...theirsChunk, ...oursChunk.slice(baseChunk.length));
+      if (endsWith(oursChunk, baseChunk)) return result.push(...oursChunk.slice(0, oursChunk.length - baseChunk.length), ...theirsChunk);
+      if (startsWith(theirsChunk, baseChunk)) return result.push(...oursChunk, ...theirsChunk.slice(baseChunk.length));
+      if (endsWith(theirsChunk, baseChunk)) return result.push(...theirsChunk.slice(0, theirsChunk.length - baseChunk.length), ...oursChunk);
+
+      conflicts++;
+      result.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    };
+
+    let i = 0;
+    let j = 0;
+    let k = 0;
+    while (true) {
+      // Next base line both sides kept
+      let next = i;
+      while (next < o.length && (matchA[next] === undefined || matchB[next] === undefined)) next++;
+
+      if (next === o.length) {
+        resolve(o.slice(i), a.slice(j), b.slice(k));
+        break;
+      }
+
+      if (next === i && matchA[next] === j && matchB[next] === k) {
+        result.push(o[i]);
+        i++;
+        j++;
+        k++;
+        continue;
+      }
+
+      resolve(o.slice(i, next), a.slice(j, matchA[next]), b.slice(k, matchB[next]));
+      i = next;
+      j = matchA[next];
+      k = matchB[next];
+    }
+
+    const text = result.join('\n');
+    return { content: result.length && (ours || theirs).endsWith('\n') ? text + '\n' : text, conflicts };
+  }
+}
@@ -0,0 +1,359 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { builtinModules } from 'module';
+import { FileLayer } from './file-layer.js';
+import { ProjectConfig } from './project-config.js';
+
+// `workease doctor`: checks that a project is in the shape the generators and
+// the code they generate expect. Every check returns
+// { name, rule, status, message, problems } where status is pass, warn or
+// fail and problems are { file, message } entries for the report.
+export class Doctor {
+  // Where a Next.js project keeps its code
+  static sourceDirs = ['src', 'app', 'pages', 'components', 'lib', 'prisma'];
+
+  static sourceExtensions = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+  // Env files Next.js loads in development, in order of precedence
+  static envFiles = ['.env.development.local', '.env.local', '.env.development', '.env'];
+
+  // Variables set by Node.js or Next.js themselves
+  static builtInEnv = ['NODE_ENV', 'NEXT_RUNTIME', 'NEXT_PHASE'];
+
+  // Oldest Node.js Next.js 14 runs on, used when package.json has no engines.node
+  static nextNodeRange = '>=18.17.0';
+
+  static prismaScalars = ['String', 'Boolean', 'Int', 'BigInt', 'Float', 'Decimal', 'DateTime', 'Json', 'Bytes', 'Unsupported'];
+
+  static async run(root = process.cwd()) {
+    const packageJson = await fs.readJSON(path.join(root, 'package.json'));
+    const sources = await this.sources(root);
+    const schema = await this.readSchema(root, packageJson);
+
+    return [
+      this.checkNodeVersion(packageJson),
+      await this.checkDependencies(root, packageJson, sources),
+      this.checkPrismaSchema(packageJson, schema),
+      await this.checkEnvironment(root, sources, schema),
+      await this.checkLayout(root)
+    ];
+  }
+
+  static result(name, rule, problems, { pass, fail = false }) {
+    if (problems.length === 0) {
+      return { name, rule, status: 'pass', message: pass, problems };
+    }
+    return {
+      name,
+      rule,
+      status: fail ? 'fail' : 'warn',
+      message: `${problems.length} problem(s) found`,
+      problems
+    };
+  }
+
+  // Source files of the project: [{ file, content }] with paths relative to the root.
+  // Read through the file layer, so staged and virtual projects are scanned too
+  static async sources(root) {
+    const sources = [];
+    const walk = async (dir) => {
+      for (const entry of await FileLayer.readdir(dir)) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.directory) {
+          if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) await walk(entryPath);
+        } else if (this.sourceExtensions.includes(path.extname(entry.name))) {
+          sources.push({ file: path.relative(root, entryPath), content: await FileLayer.readFile(entryPath) });
+        }
+      }
+    };
+
+    for (const dir of this.sourceDirs) {
+      if (await FileLayer.pathExists(path.join(root, dir))) await walk(path.join(root, dir));
+    }
+    for (const file of ['middleware.ts', 'middleware.js']) {
+      if (await FileLayer.pathExists(path.join(root, file))) {
+        sources.push({ file, content: await FileLayer.readFile(path.join(root, file)) });
+      }
+    }
+    return sources;
+  }
+
+  // { file, source } of the Prisma schema, source is null when it is missing
+  static async readSchema(root, packageJson) {
+    const file = packageJson.prisma?.schema || path.join('prisma', 'schema.prisma');
+    const schemaPath = path.join(root, file);
+    return { file, source: await fs.pathExists(schemaPath) ? await fs.readFile(schemaPath, 'utf-8') : null };
+  }
+
+  static checkNodeVersion(packageJson, version = process.versions.node) {
+    const range = packageJson.engines?.node || (this.declared(packageJson).has('next') ? this.nextNodeRange : null);
+    const source = packageJson.engines?.node ? 'engines.node' : 'Next.js 14';
+
+    if (!range) {
+      return this.result('Node.js', 'node-version', [], { pass: `v${version} (package.json sets no engines.node)` });
+    }
+    const problems = this.satisfies(version, range)
+      ? []
+      : [{ file: 'package.json', message: `Node.js v${version} does not satisfy ${range} (${source})` }];
+    return this.result('Node.js', 'node-version', problems, { pass: `v${version} satisfies ${range} (${source})`, fail: true });
+  }
+
+  // Enough of semver for engines ranges: "||" alternatives of comparators
+  // like >=18.17.0, <21, ^18.17, ~20.1, 18.x and 18 - 20
+  static satisfies(version, range) {
+    const current = version.replace(/^v/, '').split('.').map(Number);
+
+    return range.split('||').some(alternative => alternative
+      .trim()
+      .replace(/(\S+)\s+-\s+(\S+)/, '>=$1 <=$2')
+      .split(/\s+/)
+      .filter(Boolean)
+      .every(comparator => {
+        const [, operator = '=', wanted] = comparator.match(/^(>=|<=|>|<|=|\^|~)?v?(.*)$/);
+        const parts = wanted.split('.').filter(part => /^\d+$/.test(part)).map(Number);
+        if (parts.length === 0) return true;
+
+        // Compare only the given parts (18.x is any 18), or all three with zeros
+        const compare = (length) => {
+          for (let index = 0; index < length; index++) {
+            const difference = (current[index] || 0) - (parts[index] || 0);
+            if (difference !== 0) return difference;
+          }
+          return 0;
+        };
+
+        switch (operator) {
+          case '>=': return compare(3) >= 0;
+          case '<': return compare(3) < 0;
+          case '>': return compare(parts.length) > 0;
+          case '<=': return compare(parts.length) <= 0;
+          case '^': return compare(3) >= 0 && current[0] === parts[0] && (parts[0] !== 0 || current[1] === parts[1]);
+          case '~': return compare(3) >= 0 && compare(Math.min(parts.length, 2)) === 0;
+          default: return compare(parts.length) === 0;
+        }
+      }));
+  }
+
+  static declared(packageJson) {
+    return new Set(Object.keys({
+      ...packageJson.dependencies,
+      ...packageJson.devDependencies,
+      ...packageJson.peerDependencies,
+      ...packageJson.optionalDependencies
+    }));
+  }
+
+  // Module specifiers of the import, export, require and import() statements
+  static imports(content) {
+    const pattern = /(?:^|[\s;])(?:import|export)\s+(?:type\s+)?(?:[\w*{}\s,$]+?\s+from\s+)?['"]([^'"\n]+)['"]|\b(?:require|import)\(\s*['"]([^'"\n]+)['"]\s*\)/g;
+    return [...content.matchAll(pattern)].map(match => match[1] || match[2]);
+  }
+
+  // Path alias prefixes from tsconfig.json or jsconfig.json ("@/*" gives "@/")
+  static async aliases(root) {
+    const config = await this.readConfig(root);
+    return Object.keys(config?.compilerOptions?.paths || {}).map(alias => alias.replace(/\*$/, ''));
+  }
+
+  static async readConfig(root) {
+    for (const file of ['tsconfig.json', 'jsconfig.json']) {
+      const configPath = path.join(root, file);
+      if (!await fs.pathExists(configPath)) continue;
+
+      // tsconfig allows comments and trailing commas
+      const source = (await fs.readFile(configPath, 'utf-8'))
+        .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+        .replace(/,(\s*[}\]])/g, '$1');
+      try {
+        return { file, ...JSON.parse(source) };
+      } catch (error) {
+        return { file, invalid: error.message.split('\n')[0] };
+      }
+    }
+    return null;
+  }
+
+  static async checkDependencies(root, packageJson, sources) {
+    const declared = this.declared(packageJson);
+    const aliases = await this.aliases(root);
+    const missing = new Map();
+
+    for (const { file, content } of sources) {
+      for (const specifier of this.imports(content)) {
+        // "@/" and "~/" are always aliases, no package is named like that
+        if (/^(\.|\/|@\/|~\/)/.test(specifier)) continue;
+        if (aliases.some(alias => specifier.startsWith(alias) || specifier === alias.replace(/\/$/, ''))) continue;
+
+        const name = specifier.startsWith('@')
+          ? specifier.split('/').slice(0, 2).join('/')
+          : specifier.split('/')[0];
+        if (specifier.startsWith('node:') || builtinModules.includes(name) || declared.has(name)) continue;
+
+        missing.set(name, [...(missing.get(name) || []), file]);
+      }
+    }
+
+    const problems = [...missing].map(([name, files]) => ({
+      file: files[0],
+      message: `imports ${name}, which package.json does not declare${files.length > 1 ? ` (and ${files.length - 1} more file(s))` : ''}`
+    }));
+    return this.result('Dependencies', 'undeclared-dependency', problems, {
+      pass: `every package imported by ${sources.length} source file(s) is declared`,
+      fail: true
+    });
+  }
+
+  static checkPrismaSchema(packageJson, schema) {
+    const declared = this.declared(packageJson);
+    if (!declared.has('prisma') && !declared.has('@prisma/client') && schema.source === null) {
+      return this.result('Prisma schema', 'prisma-schema', [], { pass: 'not used' });
+    }
+
+    if (schema.source === null) {
+      return this.result('Prisma schema', 'prisma-schema', [
+        { file: schema.file, message: 'is missing (run workease add prisma)' }
+      ], { fail: true });
+    }
+
+    const { errors, blocks } = this.parseSchema(schema.source);
+    const models = blocks.filter(block => block.kind === 'model').length;
+    return this.result('Prisma schema', 'prisma-schema', errors.map(error => ({
+      file: `${schema.file}:${error.line}`,
+      message: error.message
+    })), { pass: `${schema.file} parses (${models} model(s))`, fail: true });
+  }
+
+  // A structural check of a Prisma schema: blocks, field lines and the
+  // types fields refer to. `prisma validate` checks the rest.
+  static parseSchema(source) {
+    const errors = [];
+    const blocks = [];
+    let block = null;
+
+    source.split('\n').forEach((raw, index) => {
+      const line = index + 1;
+      // Strings can contain "//" (connection URLs)
+      const code = raw.replace(/"(?:\\.|[^"\\])*"/g, '""').replace(/\/\/.*$/, '').trim();
+      if (!code) return;
+
+      const opening = code.match(/^(model|enum|type|view|datasource|generator)\s+(\w+)\s*\{$/);
+      if (opening) {
+        if (block) {
+          errors.push({ line: block.line, message: `${block.kind} ${block.name} is not closed` });
+          blocks.push(block);
+        }
+        block = { kind: opening[1], name: opening[2], line, fields: [] };
+        return;
+      }
+
+      if (!block) {
+        errors.push({ line, message: `expected a model, enum, datasource or generator block, found "${raw.trim()}"` });
+        return;
+      }
+
+      if (code === '}') {
+        blocks.push(block);
+        block = null;
+        return;
+      }
+
+      const valid = {
+        enum: /^\w+(\s+@.*)?$/,
+        datasource: /^\w+\s*=\s*\S.*$/,
+        generator: /^\w+\s*=\s*\S.*$/
+      }[block.kind] || /^(@@\w+.*|\w+\s+(\w+)(\(""\))?(\[\])?\??(\s+@.*)?)$/;
+
+      const field = code.match(valid);
+      if (!field) {
+        errors.push({ line, message: `invalid line in ${block.kind} ${block.name}: "${raw.trim()}"` });
+      } else if (field[2]) {
+        block.fields.push({ line, type: field[2] });
+      }
+    });
+
+    if (block) {
+      errors.push({ line: block.line, message: `${block.kind} ${block.name} is not closed` });
+      blocks.push(block);
+    }
+
+    const types = blocks.filter(({ kind }) => ['model', 'enum', 'type', 'view'].includes(kind)).map(({ name }) => name);
+    const seen = new Set();
+    for (const { kind, name, line, fields } of blocks) {
+      if (['model', 'enum', 'type', 'view'].includes(kind)) {
+        if (seen.has(name)) errors.push({ line, message: `${name} is defined twice` });
+        seen.add(name);
+      }
+      for (const field of fields) {
+        if (!this.prismaScalars.includes(field.type) && !types.includes(field.type)) {
+          errors.push({ line: field.line, message: `unknown type ${field.type}` });
+        }
+      }
+    }
+
+    if (!blocks.some(({ kind }) => kind === 'datasource')) errors.push({ line: 1, message: 'no datasource block' });
+    if (!blocks.some(({ kind }) => kind === 'generator')) errors.push({ line: 1, message: 'no generator block' });
+
+    return { errors: errors.sort((left, right) => left.line - right.line), blocks };
+  }
+
+  // Variables the code reads without a fallback and the schema's env(), each
+  // set in the environment or one of the env files
+  static async checkEnvironment(root, sources, schema) {
+    const defined = new Set(Object.keys(process.env));
+    for (const file of this.envFiles) {
+      if (!await fs.pathExists(path.join(root, file))) continue;
+      for (const [, name] of (await fs.readFile(path.join(root, file), 'utf-8')).matchAll(/^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=/gm)) {
+        defined.add(name);
+      }
+    }
+
+    const required = new Map();
+    for (const [, name] of (schema.source || '').matchAll(/env\(\s*"([^"]+)"\s*\)/g)) {
+      required.set(name, { file: schema.file, schema: true });
+    }
+    for (const { file, content } of sources) {
+      const pattern = /process\.env(?:\.([A-Za-z_]\w*)|\[\s*['"]([A-Za-z_]\w*)['"]\s*\])(\s*(?:\|\||\?\?))?/g;
+      for (const [, dotName, bracketName, fallback] of content.matchAll(pattern)) {
+        const name = dotName || bracketName;
+        if (!fallback && !required.has(name)) required.set(name, { file, schema: false });
+      }
+    }
+
+    const missing = [...required].filter(([name]) => !defined.has(name) && !this.builtInEnv.includes(name));
+    const problems = missing.map(([name, { file }]) => ({
+      file,
+      message: `${name} is not set (add it to .env or .env.local)`
+    }));
+    return this.result('Environment', 'missing-env', problems, {
+      pass: required.size > 0 ? `${required.size} required variable(s) set` : 'no required variables',
+      fail: missing.some(([, { schema: fromSchema }]) => fromSchema)
+    });
+  }
+
+  // The generators write to app/, components/ and lib/ in src/ (or at the root
+  // when the router is there) and import through the "@/*" alias
+  static async checkLayout(root) {
+    const problems = [];
+    const sourceDir = await ProjectConfig.sourceDir(root);
+    const appDir = sourceDir ? `${sourceDir}/app` : 'app';
+    const alias = sourceDir ? `${sourceDir}/*` : '*';
+
+    if (!await fs.pathExists(path.join(root, appDir))) {
+      problems.push({ file: appDir, message: 'is missing, the generators write pages and API routes there' });
+    }
+
+    const config = await this.readConfig(root);
+    if (!config) {
+      problems.push({ file: 'tsconfig.json', message: 'is missing, the generated code is TypeScript' });
+    } else if (config.invalid) {
+      problems.push({ file: config.file, message: `could not be parsed: ${config.invalid}` });
+    } else if (!(config.compilerOptions?.paths?.['@/*'] || []).some(target => target.replace(/^\.\//, '') === alias)) {
+      problems.push({ file: config.file, message: `has no "@/*": ["./${alias}"] path alias, which the generated imports use` });
+    }
+
+    return this.result('Project layout', 'project-layout', problems, {
+      pass: `${appDir} and the "@/*" alias are where the generators expect them`,
+      fail: problems.some(problem => problem.file === appDir || problem.message.startsWith('could not'))
+    });
+  }
+}
@@ -0,0 +1,48 @@
+// Failures the CLI reports to the user. The category decides the process exit
+// code, so scripts can tell a bad flag from a failed npm install. Any other
+// error exits with 1.
+export class WorkEaseError extends Error {
+  static exitCodes = {
+    'invalid-input': 2,
+    'not-a-project': 3,
+    'file-conflict': 4,
+    'install-failure': 5,
+    'safety-violation': 6,
+    'unhealthy-project': 7
+  };
+
+  constructor(category, message, { hint, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'WorkEaseError';
+    this.category = category;
+    this.hint = hint;
+  }
+
+  static exitCode(error) {
+    return error instanceof WorkEaseError ? this.exitCodes[error.category] : 1;
+  }
+
+  static invalidInput(message, options) {
+    return new WorkEaseError('invalid-input', message, options);
+  }
+
+  static notAProject(message = 'Not in a valid project directory. Run this command from your project root.', options) {
+    return new WorkEaseError('not-a-project', message, options);
+  }
+
+  static fileConflict(message, options) {
+    return new WorkEaseError('file-conflict', message, options);
+  }
+
+  static installFailure(message, options) {
+    return new WorkEaseError('install-failure', message, options);
+  }
+
+  static safetyViolation(message, options) {
+    return new WorkEaseError('safety-violation', message, options);
+  }
+
+  static unhealthyProject(message, options) {
+    return new WorkEaseError('unhealthy-project', message, options);
+  }
+}
@@ -0,0 +1,310 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { Diff } from './diff.js';
+import { Logger } from './logger.js';
+
+// All project files a command reads and writes go through this layer. Writes
+// are staged in memory and only reach the disk together in commit(), so a
+// failing generator leaves the project untouched and --dry-run can run the
+// real generators and report what would have changed.
+export class FileLayer {
+  static dryRun = false;
+
+  // In-memory file system: the disk under the root reads as empty and nothing
+  // is ever committed, so `workease test` can run the real scaffolding
+  static virtual = false;
+
+  // Directory relative paths are resolved against (the project root)
+  static root = process.cwd();
+
+  // Files touched by the current run, keyed by absolute path:
+  // { original, content, read, generated } where null means "does not exist"
+  // and `generated` is the generator output when it was merged into the file
+  static files = new Map();
+
+  // Directories to create on commit (e.g. empty project folders)
+  static dirs = new Set();
+
+  // Changes written by earlier commits of the run (e.g. init before npm install)
+  static committed = [];
+
+  static reset({ dryRun = false, root = process.cwd(), virtual = false } = {}) {
+    this.dryRun = dryRun || virtual;
+    this.virtual = virtual;
+    this.root = path.resolve(root);
+    this.files = new Map();
+    this.dirs = new Set();
+    this.committed = [];
+  }
+
+  static resolve(filePath) {
+    return path.resolve(this.root, filePath);
+  }
+
+  static relative(filePath) {
+    return path.relative(this.root, this.resolve(filePath)) || this.resolve(filePath);
+  }
+
+  static async entry(filePath) {
+    const absolutePath = this.resolve(filePath);
+
+    if (!this.files.has(absolutePath)) {
+      const original = !this.virtual && await fs.pathExists(absolutePath) && (await fs.stat(absolutePath)).isFile()
+        ? await fs.readFile(absolutePath, 'utf8')
+        : null;
+      this.files.set(absolutePath, { original, content: original, read: false });
+    }
+
+    return this.files.get(absolutePath);
+  }
+
+  static async pathExists(filePath) {
+    const absolutePath = this.resolve(filePath);
+    if (this.files.has(absolutePath)) {
+      return this.files.get(absolutePath).content !== null;
+    }
+    if (!this.virtual && await fs.pathExists(absolutePath)) return true;
+    // Folders that only hold staged files exist too
+    return (await this.readdir(path.dirname(absolutePath))).some(entry => entry.name === path.basename(absolutePath));
+  }
+
+  // Entries of a directory with the staged files and folders: [{ name, directory }]
+  static async readdir(dirPath) {
+    const absolutePath = this.resolve(dirPath);
+    const entries = new Map();
+
+    if (!this.virtual && await fs.pathExists(absolutePath) && (await fs.stat(absolutePath)).isDirectory()) {
+      for (const entry of await fs.readdir(absolutePath, { withFileTypes: true })) {
+        entries.set(entry.name, entry.isDirectory());
+      }
+    }
+
+    const inside = entryPath => {
+      const relativePath = path.relative(absolutePath, entryPath);
+      return relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+        ? relativePath.split(path.sep)
+        : null;
+    };
+
+    for (const dir of this.dirs) {
+      const parts = inside(dir);
+      if (parts) entries.set(parts[0], true);
+    }
+    for (const [filePath, file] of this.files) {
+      const parts = inside(filePath);
+      if (!parts) continue;
+      if (file.content !== null) {
+        entries.set(parts[0], parts.length > 1);
+      } else if (parts.length === 1) {
+        entries.delete(parts[0]);
+      }
+    }
+
+    return [...entries]
+      .map(([name, directory]) => ({ name, directory }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static async readFile(filePath) {
+    const file = await this.entry(filePath);
+    if (file.content === null) {
+      throw new Error(`File not found: ${this.relative(filePath)}`);
+    }
+    file.read = true;
+    return file.content;
+  }
+
+  static async readJSON(filePath) {
+    const content = await this.readFile(filePath);
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  static async writeFile(filePath, content) {
+    const file = await this.entry(filePath);
+    file.content = String(content);
+  }
+
+  // Write the result of merging generator output into an existing file
+  static async writeMerged(filePath, content, generated) {
+    const file = await this.entry(filePath);
+    file.content = String(content);
+    file.generated = generated;
+  }
+
+  static async writeJSON(filePath, data) {
+    await this.writeFile(filePath, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  static async appendFile(filePath, content) {
+    const file = await this.entry(filePath);
+    file.read = true;
+    await this.writeFile(filePath, (file.content || '') + content);
+  }
+
+  static async remove(filePath) {
+    const file = await this.entry(filePath);
+    file.content = null;
+  }
+
+  static async ensureDir(dirPath) {
+    this.dirs.add(this.resolve(dirPath));
+  }
+
+  // Drop everything staged since the last commit
+  static discard() {
+    for (const [absolutePath, file] of this.files) {
+      if (file.content !== file.original) this.files.delete(absolutePath);
+    }
+    this.dirs = new Set();
+  }
+
+  // Write the staged changes to disk. If any write fails, the files written so
+  // far get their original contents back (created files and folders are
+  // removed) before the error is rethrown.
+  static async commit() {
+    if (this.dryRun) return [];
+
+    const changes = this.changes();
+    const applied = [];
+    const createdDirs = [];
+
+    const ensureDir = async (dirPath) => {
+      const missing = [];
+      for (let dir = dirPath; !await fs.pathExists(dir); dir = path.dirname(dir)) {
+        missing.unshift(dir);
+      }
+      await fs.ensureDir(dirPath);
+      createdDirs.push(...missing);
+    };
+
+    try {
+      for (const dir of this.dirs) {
+        await ensureDir(dir);
+      }
+
+      for (const change of changes) {
+        applied.push(change);
+        if (change.content === null) {
+          await fs.remove(change.absolutePath);
+        } else {
+          await ensureDir(path.dirname(change.absolutePath));
+          await fs.writeFile(change.absolutePath, change.content);
+        }
+      }
+    } catch (error) {
+      await this.rollback(applied, createdDirs);
+      this.discard();
+      throw new Error(`${error.message} (all changes were rolled back)`);
+    }
+
+    // Don't leave empty folders behind deleted files
+    for (const change of changes.filter(change => change.content === null)) {
+      let dir = path.dirname(change.absolutePath);
+      while (dir.startsWith(this.root + path.sep) && await fs.pathExists(dir) && (await fs.readdir(dir)).length === 0) {
+        await fs.remove(dir);
+        dir = path.dirname(dir);
+      }
+    }
+
+    // The committed state is the baseline for anything staged afterwards
+    changes.forEach(change => {
+      const file = this.files.get(change.absolutePath);
+      file.original = file.content;
+      file.read = false;
+    });
+    this.dirs = new Set();
+    this.committed.push(...changes);
+
+    return changes;
+  }
+
+  static async rollback(applied, createdDirs) {
+    for (const change of applied.reverse()) {
+      try {
+        if (change.original === null) {
+          await fs.remove(change.absolutePath);
+        } else {
+          await fs.writeFile(change.absolutePath, change.original);
+        }
+      } catch (error) {
+        Logger.error(chalk.red(`❌ Could not restore ${change.path}: ${error.message}`));
+      }
+    }
+
+    for (const dir of createdDirs.reverse()) {
+      if (await fs.pathExists(dir) && (await fs.readdir(dir)).length === 0) {
+        await fs.remove(dir);
+      }
+    }
+  }
+
+  // Files the run created, modified (read and then changed), overwritten or deleted
+  static changes() {
+    const changes = [];
+
+    for (const [absolutePath, file] of this.files) {
+      if (file.content === file.original) continue;
+
+      let type = 'overwritten';
+      if (file.original === null) type = 'created';
+      else if (file.content === null) type = 'deleted';
+      else if (file.read) type = 'modified';
+
+      changes.push({
+        path: this.relative(absolutePath),
+        absolutePath,
+        type,
+        original: file.original,
+        content: file.content,
+        generated: file.generated
+      });
+    }
+
+    return changes;
+  }
+
+  static printDiff(oldText, newText, filePath, indent = '      ') {
+    const diff = Diff.unified(oldText, newText, {
+      oldLabel: `a/${filePath}`,
+      newLabel: `b/${filePath}`
+    });
+
+    diff.split('\n').forEach(line => {
+      let color = chalk.gray;
+      if (line.startsWith('@@')) color = chalk.cyan;
+      else if (line.startsWith('+')) color = chalk.green;
+      else if (line.startsWith('-')) color = chalk.red;
+      Logger.log(`${indent}${color(line)}`);
+    });
+  }
+
+  static printDryRunReport() {
+    const changes = this.changes();
+    const labels = {
+      created: chalk.green('+ created    '),
+      modified: chalk.yellow('~ modified   '),
+      overwritten: chalk.red('! overwritten'),
+      deleted: chalk.red('- deleted    ')
+    };
+
+    Logger.log(chalk.yellow(`\n🧪 DRY RUN - ${changes.length} file(s) would change, nothing was written:`));
+
+    if (changes.length === 0) {
+      Logger.log(chalk.gray('   (no changes)'));
+      return;
+    }
+
+    changes.forEach(change => {
+      Logger.log(`   ${labels[change.type]} ${change.path}`);
+
+      if (change.type === 'modified') {
+        this.printDiff(change.original, change.content, change.path);
+      }
+    });
+  }
+}
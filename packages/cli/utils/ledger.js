@@ -0,0 +1,131 @@
+import path from 'path';
+import crypto from 'crypto';
+import { FileLayer } from './file-layer.js';
+import { Diff } from './diff.js';
+
+// Project history of generator runs (.workease/history.json), used by
+// `workease destroy` to revert a generation
+export class Ledger {
+  static historyPath = path.join('.workease', 'history.json');
+
+  // Set by a command once it knows what it generated: { command, type, name }
+  static pending = null;
+
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  static async load() {
+    if (!await FileLayer.pathExists(this.historyPath)) {
+      return { version: 1, entries: [] };
+    }
+    return FileLayer.readJSON(this.historyPath);
+  }
+
+  // Stage a history entry for the changes of the current run
+  static async record(changes) {
+    const historyPath = FileLayer.resolve(this.historyPath);
+    const files = changes
+      .filter(change => change.absolutePath !== historyPath)
+      .map(change => {
+        // Both versions are kept so destroy can take the change back out of
+        // files that were edited again since
+        return {
+          path: change.path.split(path.sep).join('/'),
+          action: change.type,
+          hash: change.content === null ? null : this.hash(change.content),
+          before: change.original,
+          after: change.content,
+          ...(change.generated !== undefined && { generated: change.generated })
+        };
+      });
+
+    if (!this.pending || files.length === 0) return null;
+
+    const history = await this.load();
+    const entry = {
+      id: history.entries.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+      ...this.pending,
+      timestamp: new Date().toISOString(),
+      files
+    };
+
+    history.entries.push(entry);
+    await FileLayer.writeJSON(this.historyPath, history);
+    this.pending = null;
+
+    return entry;
+  }
+
+  // Latest generation of that type (and name) that hasn't been destroyed
+  static async find(type, name) {
+    const history = await this.load();
+    const matches = history.entries.filter(entry => !entry.destroyedAt
+      && entry.type === type
+      && (!name || (entry.name && entry.name.toLowerCase() === name.toLowerCase())));
+
+    return matches[matches.length - 1] || null;
+  }
+
+  // Work out how to take each file of an entry back, without touching anything:
+  // { file, content (null to delete), edited, conflict }. Conflicting files
+  // keep their current content.
+  static async plan(entry) {
+    const history = await this.load();
+    const steps = [];
+
+    for (const file of [...entry.files].reverse()) {
+      const current = await FileLayer.pathExists(file.path) ? await FileLayer.readFile(file.path) : null;
+      const untouched = (current === null ? null : this.hash(current)) === file.hash;
+
+      if (file.action === 'created') {
+        if (current === null) continue;
+
+        // A file later generations built on (e.g. schema.prisma) can't just be deleted
+        const sharedLater = history.entries.some(later => later.id > entry.id && !later.destroyedAt
+          && later.files.some(laterFile => laterFile.path === file.path));
+
+        steps.push(sharedLater && !untouched
+          ? { file, content: current, edited: true, conflict: true }
+          : { file, content: null, edited: !untouched });
+      } else if (untouched || file.action !== 'modified' || current === null) {
+        steps.push({ file, content: file.before, edited: !untouched });
+      } else {
+        // Modified again since (by hand or a later run): take out only this run's change
+        const merged = Diff.merge3(file.after, current, file.before, {
+          oursLabel: 'current',
+          theirsLabel: `before ${entry.type} ${entry.name || ''}`.trim()
+        });
+        steps.push(merged.conflicts > 0
+          ? { file, content: current, edited: true, conflict: true }
+          : { file, content: merged.content, edited: false });
+      }
+    }
+
+    return steps;
+  }
+
+  // Last output a generator produced for a file (the base of a three-way merge
+  // when it's generated again), or null if it was never generated
+  static async generatedVersion(filePath) {
+    const relativePath = FileLayer.relative(filePath).split(path.sep).join('/');
+    const history = await this.load();
+
+    for (const entry of [...history.entries].reverse()) {
+      if (entry.destroyedAt) continue;
+      const file = entry.files.find(candidate => candidate.path === relativePath);
+      if (file && file.after !== null) {
+        return file.generated !== undefined ? file.generated : file.after;
+      }
+    }
+
+    return null;
+  }
+
+  static async markDestroyed(entry) {
+    const history = await this.load();
+    const stored = history.entries.find(existing => existing.id === entry.id);
+    stored.destroyedAt = new Date().toISOString();
+    await FileLayer.writeJSON(this.historyPath, history);
+  }
+}
@@ -0,0 +1,95 @@
+import chalk from 'chalk';
+
+// Everything the CLI tells the user goes through here. Besides printing, the
+// parts tooling cares about (warnings, errors, routes, next steps, check
+// findings) are collected into one result per command, which --json prints
+// instead of the prose and the Node API hands back to its caller.
+export class Logger {
+  // --json: print the result instead of text (spinners and npm output are off too)
+  static json = false;
+
+  // Nothing is printed (--json and the Node API)
+  static silent = false;
+
+  static result = this.emptyResult();
+
+  static emptyResult(command = null) {
+    return {
+      command,
+      success: true,
+      exitCode: 0,
+      dryRun: false,
+      files: [],
+      routes: [],
+      nextSteps: [],
+      warnings: [],
+      errors: [],
+      findings: []
+    };
+  }
+
+  static reset({ json = false, silent = json, command = null } = {}) {
+    this.json = json;
+    this.silent = silent;
+    this.result = this.emptyResult(command);
+  }
+
+  // Colors and the leading emoji of a message, which only make sense in a terminal
+  static plain(message) {
+    return String(message)
+      .replace(/\x1b\[[0-9;]*m/g, '')
+      .replace(/^\s*[\p{Extended_Pictographic}\uFE0E\uFE0F\u200D]+\s*/u, '')
+      .trim();
+  }
+
+  static log(...args) {
+    if (!this.silent) console.log(...args);
+  }
+
+  static error(...args) {
+    this.result.errors.push(this.plain(args.join(' ')));
+    this.result.success = false;
+    if (!this.silent) console.error(...args);
+  }
+
+  // A warning, optionally followed by the items it is about
+  static warn(message, details = []) {
+    const text = this.plain(message).replace(/:$/, '');
+    this.result.warnings.push(details.length ? `${text}: ${details.join(', ')}` : text);
+
+    if (!this.silent) {
+      console.log(chalk.yellow(message));
+      details.forEach(detail => console.log(chalk.gray(`   - ${detail}`)));
+    }
+  }
+
+  // A page or API route the run added to the app (the caller prints it)
+  static route(type, routePath, methods = ['GET']) {
+    this.result.routes.push({ type, path: routePath, methods });
+  }
+
+  // Numbered "Next Steps" list. Steps are strings or { text, command } when
+  // there is a command to run.
+  static nextSteps(steps) {
+    const items = steps.filter(Boolean).map(step => (typeof step === 'string' ? { text: step } : step));
+    this.result.nextSteps.push(...items);
+
+    if (!this.silent) {
+      console.log(chalk.blue('\n📋 Next Steps:'));
+      items.forEach((item, index) => console.log(chalk.gray(`${index + 1}. ${item.text}`)));
+      console.log('');
+    }
+  }
+
+  // A problem found by `check`: { rule, severity, file, message, fixed }
+  static finding(finding) {
+    this.result.findings.push(finding);
+  }
+
+  static printResult(files = []) {
+    this.result.files = files.map(change => ({ path: change.path, action: change.type }));
+    this.result.exitCode = process.exitCode || 0;
+    if (this.result.exitCode) this.result.success = false;
+    console.log(JSON.stringify(this.result, null, 2));
+  }
+}
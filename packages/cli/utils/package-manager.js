@@ -0,0 +1,81 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { WorkEaseError } from './errors.js';
+
+// The package manager a new project is installed with, and how its commands
+// are spelled: `npm run db:setup` is `pnpm db:setup`, `npx prisma generate`
+// is `bunx prisma generate` and so on.
+export class PackageManager {
+  static names = ['npm', 'pnpm', 'yarn', 'bun'];
+
+  static lockfiles = {
+    'pnpm-lock.yaml': 'pnpm',
+    'yarn.lock': 'yarn',
+    'bun.lockb': 'bun',
+    'bun.lock': 'bun',
+    'package-lock.json': 'npm'
+  };
+
+  // --pm when given, otherwise the lockfile of the directory itself, then the
+  // manager that launched the CLI (`pnpm dlx workease`), then the lockfile of
+  // an enclosing project (so a project created in a workspace uses the
+  // workspace's manager), then npm. A stray lockfile further up, such as one
+  // in the home directory, doesn't overrule the manager the user ran.
+  static async resolve(name, cwd = process.cwd()) {
+    if (name) {
+      if (!this.names.includes(name)) {
+        throw WorkEaseError.invalidInput(`Unknown package manager: ${name}`, {
+          hint: `Use one of ${this.names.join(', ')}`
+        });
+      }
+      return name;
+    }
+
+    const dir = path.resolve(cwd);
+    return (await this.fromLockfile(dir))
+      || this.fromUserAgent()
+      || (await this.fromAncestorLockfile(path.dirname(dir)))
+      || 'npm';
+  }
+
+  static async fromLockfile(dir) {
+    for (const [lockfile, name] of Object.entries(this.lockfiles)) {
+      if (await fs.pathExists(path.join(dir, lockfile))) return name;
+    }
+    return null;
+  }
+
+  static async fromAncestorLockfile(dir) {
+    for (let current = dir; ; current = path.dirname(current)) {
+      const name = await this.fromLockfile(current);
+      if (name || current === path.dirname(current)) return name;
+    }
+  }
+
+  // npm_config_user_agent looks like "pnpm/9.1.0 npm/? node/v20.11.0 linux x64"
+  static fromUserAgent(userAgent = process.env.npm_config_user_agent) {
+    const name = (userAgent || '').split('/')[0];
+    return this.names.includes(name) ? name : null;
+  }
+
+  static install(name) {
+    return `${name} install`;
+  }
+
+  static run(name, script) {
+    return name === 'npm' || name === 'bun' ? `${name} run ${script}` : `${name} ${script}`;
+  }
+
+  // Rewrite an npm-style command (`npm run x`, `npm install`, `npx tool`) for the manager
+  static command(name, command) {
+    const [, script] = command.match(/^npm run (.+)$/) || [];
+    if (script) return this.run(name, script);
+    if (command === 'npm install') return this.install(name);
+
+    const [, tool] = command.match(/^npx (.+)$/) || [];
+    if (tool) {
+      return { npm: `npx ${tool}`, pnpm: `pnpm exec ${tool}`, yarn: `yarn ${tool}`, bun: `bunx ${tool}` }[name];
+    }
+    return command;
+  }
+}
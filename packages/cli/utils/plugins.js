@@ -0,0 +1,203 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { Option } from 'commander';
+import chalk from 'chalk';
+import { Generator } from './generator.js';
+import { TemplateEngine } from './template-engine.js';
+import { FileLayer } from './file-layer.js';
+import { Prompter } from './prompter.js';
+import { Logger } from './logger.js';
+import { ProjectConfig } from './project-config.js';
+import { Requirements } from './requirements.js';
+import { Safety } from './safety.js';
+
+// Generator types added by the modules listed under "plugins" in the project
+// config. A plugin module exports (as default) either a function that gets
+// { registerGenerator, registerSafetyRule } or an object with `generators`
+// and/or `safetyRules` lists. A generator is
+// { name, description, aliases, options, prompts, templates, files, generate },
+// a safety rule is { id, description, severity, options, check } (see Safety).
+export class Plugins {
+  // Absolute paths of the plugin modules loaded so far
+  static loaded = new Set();
+
+  // Plugins that could not be loaded: { plugin, message }
+  static failures = [];
+
+  static async load(root = process.cwd()) {
+    let config;
+    try {
+      config = await ProjectConfig.load(root);
+    } catch (error) {
+      this.failures.push({ plugin: ProjectConfig.fileName, message: error.message });
+      return;
+    }
+
+    for (const plugin of config.plugins || []) {
+      try {
+        await this.loadPlugin(plugin, root);
+      } catch (error) {
+        this.failures.push({ plugin, message: error.message });
+      }
+    }
+  }
+
+  static async loadPlugin(plugin, root) {
+    const modulePath = this.resolve(plugin, root);
+    if (this.loaded.has(modulePath)) return;
+
+    const module = await import(pathToFileURL(modulePath).href);
+    const exported = module.default || module;
+    const source = plugin;
+    const registerGenerator = definition => this.registerGenerator(definition, { source, dir: path.dirname(modulePath) });
+    const registerSafetyRule = rule => Safety.register(rule, { source });
+
+    if (typeof exported === 'function') {
+      await exported({ registerGenerator, registerSafetyRule });
+    } else if (Array.isArray(exported.generators) || Array.isArray(exported.safetyRules)) {
+      (exported.generators || []).forEach(registerGenerator);
+      (exported.safetyRules || []).forEach(registerSafetyRule);
+    } else {
+      throw new Error('expected a default export function or a "generators" or "safetyRules" list');
+    }
+
+    this.loaded.add(modulePath);
+  }
+
+  // Local modules are relative to the project root, packages come from its node_modules
+  static resolve(plugin, root) {
+    if (plugin.startsWith('.') || path.isAbsolute(plugin)) {
+      const modulePath = path.resolve(root, plugin);
+      if (!fs.existsSync(modulePath)) {
+        throw new Error(`module not found: ${modulePath}`);
+      }
+      return modulePath;
+    }
+
+    try {
+      return createRequire(path.join(root, 'package.json')).resolve(plugin);
+    } catch (error) {
+      throw new Error(`package not found, install it with: npm install --save-dev ${plugin}`);
+    }
+  }
+
+  static registerGenerator(definition, { source, dir }) {
+    const name = definition && definition.name && String(definition.name).toLowerCase();
+
+    if (!name || !/^[a-z][a-z0-9-]*$/.test(name)) {
+      throw new Error('generators need a "name" made of lowercase letters, numbers and hyphens');
+    }
+
+    const aliases = (definition.aliases || []).map(alias => String(alias).toLowerCase());
+    const taken = [name, ...aliases].find(type => Generator.types[type] || Generator.aliases[type]);
+    if (taken) {
+      throw new Error(`generator type "${taken}" is already defined`);
+    }
+
+    const options = (definition.options || []).map(option => {
+      const parsed = new Option(option.flags, option.description);
+      return { flags: option.flags, description: option.description || '', name: parsed.attributeName() };
+    });
+
+    const generator = { ...definition, name, aliases, options, source, dir };
+
+    Generator.types[name] = {
+      flags: options.map(option => option.name),
+      nameAnswer: 'name',
+      title: definition.title || TemplateEngine.toTitleCase(name),
+      description: definition.description || '',
+      icon: definition.icon || '🧱',
+      options,
+      plugin: source,
+      run: generatorOptions => this.run(generator, generatorOptions)
+    };
+    aliases.forEach(alias => {
+      Generator.aliases[alias] = name;
+    });
+  }
+
+  static generators() {
+    return Object.entries(Generator.types).filter(([, type]) => type.plugin);
+  }
+
+  static async run(generator, options = {}) {
+    const title = TemplateEngine.toTitleCase(generator.name);
+    const questions = [...(generator.prompts || [])];
+
+    if (!questions.some(question => question.name === 'name')) {
+      questions.unshift({
+        type: 'input',
+        name: 'name',
+        message: `${title} name:`,
+        validate: (input) => input.trim() ? true : `${title} name is required`
+      });
+    }
+
+    // Flags answer the question of the same name
+    const provided = Object.fromEntries(questions.map(question => [
+      question.name,
+      question.type === 'checkbox' ? Prompter.parseList(options[question.name]) : options[question.name]
+    ]));
+    const answers = await Prompter.ask(questions, provided, options);
+    const variables = this.variables(answers);
+
+    const templatesDir = path.resolve(generator.dir, generator.templates || 'templates');
+    const load = (template) => fs.readFile(path.join(templatesDir, template), 'utf-8');
+    const render = async (template, extraVariables = {}) => {
+      const source = await load(template);
+      const partials = await TemplateEngine.loadPartials(source, load);
+      const unresolved = [];
+      const output = TemplateEngine.render(source, { ...variables, ...extraVariables }, { partials, name: template, unresolved });
+      TemplateEngine.verify(template, { unresolved });
+      return output;
+    };
+
+    const writeFile = async (filePath, content) => {
+      const outputPath = path.join(FileLayer.root, TemplateEngine.replaceVariables(filePath, variables, filePath));
+      const result = await Generator.writeGenerated(outputPath, content, options);
+      if (result !== 'kept') {
+        Logger.log(chalk.green(`📄 ${FileLayer.relative(outputPath)} ${result}`));
+      }
+      return result;
+    };
+
+    for (const file of generator.files || []) {
+      await writeFile(file.path, await render(file.template));
+    }
+
+    if (generator.generate) {
+      await generator.generate({ answers, variables, options, root: FileLayer.root, render, writeFile, logger: Logger });
+    }
+
+    if (generator.requires) {
+      Requirements.require(generator.requires);
+    }
+
+    Logger.log(chalk.green(`✅ ${title} '${variables.namePascal}' generated successfully!`));
+  }
+
+  // Template variables: the answers plus the usual spellings of the name
+  static variables(answers) {
+    const name = String(answers.name || '');
+    return {
+      ...answers,
+      namePascal: TemplateEngine.toPascalCase(name),
+      nameCamel: TemplateEngine.toCamelCase(name),
+      nameKebab: TemplateEngine.toKebabCase(TemplateEngine.toPascalCase(name)),
+      nameSnake: TemplateEngine.toSnakeCase(TemplateEngine.toPascalCase(name)),
+      nameTitle: TemplateEngine.toTitleCase(name),
+      namePlural: TemplateEngine.pluralize(TemplateEngine.toCamelCase(name))
+    };
+  }
+
+  // Report plugins that failed to load without stopping the command
+  static reportFailures() {
+    this.failures.forEach(failure => {
+      Logger.warn(`⚠️  Plugin ${failure.plugin} was not loaded: ${failure.message}`);
+    });
+    this.failures = [];
+  }
+}
+
@@ -0,0 +1,45 @@
+import path from 'path';
+import { FileLayer } from './file-layer.js';
+import { WorkEaseError } from './errors.js';
+
+// Project settings for WorkEase, from workease.config.json or the "workease"
+// key of package.json
+export class ProjectConfig {
+  static fileName = 'workease.config.json';
+
+  static async load(root = process.cwd()) {
+    const configPath = path.join(root, this.fileName);
+
+    if (await FileLayer.pathExists(configPath)) {
+      try {
+        return JSON.parse(await FileLayer.readFile(configPath));
+      } catch (error) {
+        throw WorkEaseError.invalidInput(`Could not parse ${this.fileName}: ${error.message}`);
+      }
+    }
+
+    const packageJsonPath = path.join(root, 'package.json');
+    if (await FileLayer.pathExists(packageJsonPath)) {
+      try {
+        const packageJson = await FileLayer.readJSON(packageJsonPath);
+        return packageJson.workease || {};
+      } catch (error) {
+        return {};
+      }
+    }
+
+    return {};
+  }
+
+  // Where the project keeps app/, components/ and lib/: 'src', or '' when its
+  // router is at the root (create-next-app without the src directory)
+  static async sourceDir(root = FileLayer.root) {
+    const exists = name => FileLayer.pathExists(path.join(root, name));
+    return !await exists('src') && (await exists('app') || await exists('pages')) ? '' : 'src';
+  }
+
+  // A path of the src/ layout (src/components/ui/button.tsx) where the project keeps it
+  static async sourcePath(filePath, root = FileLayer.root) {
+    return await this.sourceDir(root) ? filePath : filePath.replace(/^src\//, '');
+  }
+}
@@ -0,0 +1,264 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { TemplateEngine } from './template-engine.js';
+import { FileLayer } from './file-layer.js';
+import { UiLibrary } from './ui-library.js';
+import { ProjectConfig } from './project-config.js';
+import { WorkEaseError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Project templates for `workease init`. A template is a directory with a
+// template.json manifest:
+//   { name, title, description, icon, extends, components, scripts,
+//     dependencies, devDependencies, directories, postSteps }
+// and a files/ folder that is copied into the new project. `extends` lists
+// templates to merge in first (built-in names, paths relative to the
+// template or package names), so a template only declares what it adds.
+// `components` names UI primitives of the shared library (templates/ui),
+// which bring their files and npm packages along.
+export class ProjectTemplate {
+  static builtInDir = path.join(__dirname, '..', 'templates', 'projects');
+
+  static manifestName = 'template.json';
+
+  // Built-in templates offered by `init`, in picker order (the first is the default)
+  static async builtIn() {
+    return (await fs.readJSON(path.join(this.builtInDir, 'index.json'))).templates;
+  }
+
+  // Built-in templates `workease add` can apply to an existing project
+  static async features() {
+    return (await fs.readJSON(path.join(this.builtInDir, 'index.json'))).features;
+  }
+
+  // Directory of a template given as a built-in name, a path or an installed package
+  static async resolve(template, root = process.cwd()) {
+    let dir;
+
+    if (template.startsWith('.') || path.isAbsolute(template)) {
+      dir = path.resolve(root, template);
+    } else if (await fs.pathExists(path.join(this.builtInDir, template, this.manifestName))) {
+      dir = path.join(this.builtInDir, template);
+    } else {
+      try {
+        dir = path.dirname(createRequire(path.join(root, 'package.json')).resolve(`${template}/package.json`));
+      } catch (error) {
+        throw WorkEaseError.invalidInput(`Unknown project template: ${template}`, {
+          hint: `Use one of ${(await this.builtIn()).join(', ')}, a template directory (./path) or an installed template package`
+        });
+      }
+    }
+
+    if (!await fs.pathExists(path.join(dir, this.manifestName))) {
+      throw WorkEaseError.invalidInput(`No ${this.manifestName} found in ${dir}`);
+    }
+    return dir;
+  }
+
+  // The template with everything it extends merged in:
+  // { name, title, description, icon, uses, sources, components, scripts,
+  //   dependencies, devDependencies, directories, postSteps }, where `uses`
+  // names every merged template and `sources` lists their directories in
+  // merge order
+  static async load(template, root = process.cwd(), parents = []) {
+    const dir = await this.resolve(template, root);
+    if (parents.includes(dir)) {
+      throw WorkEaseError.invalidInput(`Project template ${template} extends itself`);
+    }
+
+    let manifest;
+    try {
+      manifest = await fs.readJSON(path.join(dir, this.manifestName));
+    } catch (error) {
+      throw WorkEaseError.invalidInput(`Could not parse ${path.join(dir, this.manifestName)}: ${error.message}`);
+    }
+
+    const name = manifest.name || path.basename(dir);
+    const merged = {
+      name,
+      title: manifest.title || name,
+      description: manifest.description || '',
+      icon: manifest.icon || '📦',
+      uses: [],
+      sources: [],
+      components: [],
+      scripts: {},
+      dependencies: {},
+      devDependencies: {},
+      directories: [],
+      postSteps: []
+    };
+
+    const parts = [];
+    for (const parent of manifest.extends || []) {
+      parts.push(await this.load(parent, dir, [...parents, dir]));
+    }
+    parts.push({ ...manifest, uses: [name], sources: [dir] });
+
+    for (const part of parts) {
+      for (const key of ['uses', 'sources', 'components', 'directories']) {
+        merged[key] = [...new Set([...merged[key], ...(part[key] || [])])];
+      }
+      // Versions a template declares win over the library's
+      Object.assign(merged.dependencies, await UiLibrary.dependencies(part.components || []));
+      for (const key of ['scripts', 'dependencies', 'devDependencies']) {
+        Object.assign(merged[key], part[key]);
+      }
+      for (const step of part.postSteps || []) {
+        if (!merged.postSteps.some(existing => existing.command === step.command)) {
+          merged.postSteps.push(step);
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  // Files of a loaded template: { path, source } with later templates
+  // replacing the files of the ones they extend, then the library files of
+  // its components that no template provides itself
+  static async files(template) {
+    const files = new Map();
+
+    for (const dir of template.sources) {
+      const filesDir = path.join(dir, 'files');
+      if (!await fs.pathExists(filesDir)) continue;
+
+      for (const source of await this.walk(filesDir)) {
+        // npm drops .gitignore files from published packages
+        const relativePath = path.relative(filesDir, source)
+          .split(path.sep)
+          .map(segment => (segment === 'gitignore' ? '.gitignore' : segment))
+          .join('/');
+        files.set(relativePath.replace(/\.template$/, ''), source);
+      }
+    }
+
+    for (const component of await UiLibrary.resolve(template.components)) {
+      for (const file of component.files) {
+        if (!files.has(file.path)) files.set(file.path, file.source);
+      }
+    }
+
+    return [...files].map(([filePath, source]) => ({ path: filePath, source }));
+  }
+
+  static async walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(dir, entry.name);
+      files.push(...(entry.isDirectory() ? await this.walk(entryPath) : [entryPath]));
+    }
+    return files;
+  }
+
+  // Paths that count as the same file in an existing project: a config file
+  // can be written in any of the config extensions
+  static variants(filePath) {
+    const [, config] = filePath.match(/^(.*\.config)\.[cm]?[jt]s$/) || [];
+    return config
+      ? [...new Set([filePath, ...['js', 'cjs', 'mjs', 'ts'].map(extension => `${config}.${extension}`)])]
+      : [filePath];
+  }
+
+  static async existingVariant(projectPath, filePath) {
+    for (const variant of this.variants(filePath)) {
+      if (await FileLayer.pathExists(path.join(projectPath, variant))) return variant;
+    }
+    return null;
+  }
+
+  // Write the project through the file layer. Files ending in .template are
+  // rendered with { projectName, templateName, uses } (uses.tailwind is true
+  // when the template extends tailwind) and lose the suffix.
+  //
+  // In an existing directory `mode` decides what happens to files that are
+  // already there: 'merge' keeps them, 'force' overwrites them. package.json
+  // is merged either way, and a file is never written next to another variant
+  // of itself (next.config.mjs next to next.config.js). A project that keeps
+  // app/ or pages/ at the root gets the src/ files there, and the tsconfig
+  // alias and Tailwind globs pointing into ./src/ point at the root instead,
+  // like the generators do. Returns the files that were kept: [{ path, reason }]
+  static async create(projectPath, template, { projectName, mode = 'create' }) {
+    const rootLayout = !await ProjectConfig.sourceDir(projectPath);
+    const target = filePath => (rootLayout ? filePath.replace(/^src\//, '') : filePath);
+
+    const conflicts = [];
+    await this.writePackageJson(projectPath, template, { projectName, mode, conflicts });
+
+    for (const directory of template.directories.map(target)) {
+      if (!await this.existingVariant(projectPath, directory)) {
+        await FileLayer.ensureDir(path.join(projectPath, directory));
+      }
+    }
+
+    const variables = { projectName, templateName: template.name, uses: TemplateEngine.flags(template.uses) };
+    for (const file of await this.files(template)) {
+      let content = await fs.readFile(file.source, 'utf-8');
+      if (file.source.endsWith('.template')) {
+        content = TemplateEngine.replaceVariables(content, variables, file.path);
+      }
+
+      if (rootLayout && target(file.path) === file.path) {
+        content = content.replace(/\.\/src\//g, './');
+      }
+
+      const filePath = path.join(projectPath, target(file.path));
+      const existing = await this.existingVariant(projectPath, target(file.path));
+      if (existing && existing !== target(file.path)) {
+        conflicts.push({ path: existing, reason: `kept instead of ${target(file.path)}` });
+        continue;
+      }
+      if (existing && mode !== 'force') {
+        if (await FileLayer.readFile(filePath) !== content) {
+          conflicts.push({ path: existing, reason: 'already exists and differs from the template' });
+        }
+        continue;
+      }
+
+      await FileLayer.ensureDir(path.dirname(filePath));
+      await FileLayer.writeFile(filePath, content);
+    }
+
+    return conflicts;
+  }
+
+  // Scripts and dependencies are added to an existing package.json, entries it
+  // already has keep their value unless mode is 'force'. It is only rewritten
+  // when something was added, so applying a template twice changes nothing.
+  static async writePackageJson(projectPath, template, { projectName, mode, conflicts }) {
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    const exists = await FileLayer.pathExists(packageJsonPath);
+    const packageJson = exists
+      ? await FileLayer.readJSON(packageJsonPath)
+      : { name: projectName, version: '0.1.0', private: true };
+
+    const differing = [];
+    let changed = !exists;
+    for (const key of ['scripts', 'dependencies', 'devDependencies']) {
+      const entries = packageJson[key] || {};
+      for (const [name, value] of Object.entries(template[key])) {
+        if (entries[name] === value) continue;
+        if (name in entries) {
+          differing.push(name);
+          if (mode !== 'force') continue;
+        }
+        entries[name] = value;
+        changed = true;
+      }
+      if (Object.keys(entries).length > 0 || !exists) packageJson[key] = entries;
+    }
+
+    if (differing.length > 0 && mode !== 'force') {
+      conflicts.push({ path: 'package.json', reason: `kept the existing ${differing.join(', ')}` });
+    }
+    if (changed) {
+      await FileLayer.writeJSON(packageJsonPath, packageJson);
+    }
+  }
+}
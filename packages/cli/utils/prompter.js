@@ -0,0 +1,161 @@
+import inquirer from 'inquirer';
+import fs from 'fs-extra';
+import path from 'path';
+import { WorkEaseError } from './errors.js';
+
+export class Prompter {
+  // Answers of the current run, keyed by question name (for --save-answers)
+  static recorded = {};
+
+  // Answers loaded with --answers, or null when not replaying
+  static replayed = null;
+
+  // Questions the replayed answers did not cover
+  static uncovered = [];
+
+  // Off in --json mode: questions without a provided value take their default
+  static interactive = true;
+
+  // Resolve a list of inquirer questions, using values that were already
+  // provided (e.g. from command line flags) and only prompting for the rest.
+  // Provided values go through the same choice checks and validators as the
+  // interactive prompts, and invalid values throw instead of re-prompting.
+  static async ask(questions, provided = {}, options = {}) {
+    const answers = {};
+
+    for (const question of questions) {
+      if (question.when !== undefined) {
+        const shouldAsk = typeof question.when === 'function'
+          ? await question.when(answers)
+          : question.when;
+        if (!shouldAsk) continue;
+      }
+
+      let value = provided[question.name];
+
+      if (value === undefined && this.replayed) {
+        if (Object.prototype.hasOwnProperty.call(this.replayed, question.name)) {
+          value = this.replayed[question.name];
+        } else {
+          this.uncovered.push(question);
+        }
+      }
+
+      if (value !== undefined) {
+        answers[question.name] = await this.validateAnswer(question, value, answers);
+      } else if (options.yes || !this.interactive) {
+        const defaultValue = await this.defaultAnswer(question, answers);
+        answers[question.name] = await this.validateAnswer(question, defaultValue, answers, true);
+      } else if (this.replayed && !process.stdin.isTTY) {
+        // Nobody to ask: a replay without a terminal needs every answer
+        throw WorkEaseError.invalidInput(`The answers file has no answer for ${question.name} ("${question.message}")`, {
+          hint: 'Add it to the answers file or pass it as a flag, --yes and --json take the defaults'
+        });
+      } else {
+        Object.assign(answers, await inquirer.prompt([question], answers));
+      }
+
+      this.recorded[question.name] = answers[question.name];
+    }
+
+    return answers;
+  }
+
+  // Replay the answers saved by a previous run of the same command
+  static async loadAnswers(filePath, command) {
+    const answersPath = path.resolve(filePath);
+
+    if (!await fs.pathExists(answersPath)) {
+      throw WorkEaseError.invalidInput(`Answers file not found: ${answersPath}`);
+    }
+
+    let saved;
+    try {
+      saved = await fs.readJSON(answersPath);
+    } catch (error) {
+      throw WorkEaseError.invalidInput(`Could not parse answers file ${filePath}: ${error.message}`);
+    }
+
+    if (!saved || typeof saved.answers !== 'object' || Array.isArray(saved.answers)) {
+      throw WorkEaseError.invalidInput(`Answers file ${filePath} has no "answers" object`);
+    }
+
+    if (saved.command && saved.command !== command) {
+      throw WorkEaseError.invalidInput(`Answers file ${filePath} was recorded for "${saved.command}", not "${command}"`);
+    }
+
+    this.replayed = saved.answers;
+    this.uncovered = [];
+  }
+
+  static async saveAnswers(filePath, command) {
+    const answersPath = path.resolve(filePath);
+
+    await fs.ensureDir(path.dirname(answersPath));
+    await fs.writeJSON(answersPath, { command, answers: this.recorded }, { spaces: 2 });
+
+    return answersPath;
+  }
+
+  // Replayed answers that no question of the run asked for
+  static unusedAnswers() {
+    if (!this.replayed) return [];
+    return Object.keys(this.replayed).filter(name => !(name in this.recorded));
+  }
+
+  static async defaultAnswer(question, answers) {
+    if (question.default !== undefined) {
+      return typeof question.default === 'function'
+        ? await question.default(answers)
+        : question.default;
+    }
+
+    switch (question.type) {
+      case 'checkbox':
+        return (question.choices || []).filter(choice => choice.checked).map(choice => choice.value);
+      case 'list':
+        return question.choices && question.choices.length ? question.choices[0].value : undefined;
+      case 'confirm':
+        return true;
+      default:
+        return '';
+    }
+  }
+
+  static async validateAnswer(question, value, answers, isDefault = false) {
+    const choiceValues = (question.choices || []).map(choice => choice.value);
+
+    if (question.type === 'list' && !choiceValues.includes(value)) {
+      throw WorkEaseError.invalidInput(`Invalid value for ${question.name}: "${value}" (expected one of: ${choiceValues.join(', ')})`);
+    }
+
+    if (question.type === 'checkbox') {
+      if (!Array.isArray(value)) {
+        throw WorkEaseError.invalidInput(`Invalid value for ${question.name}: expected a list of choices`);
+      }
+      const unknown = value.filter(item => !choiceValues.includes(item));
+      if (unknown.length > 0) {
+        throw WorkEaseError.invalidInput(`Invalid value for ${question.name}: ${unknown.join(', ')} (expected any of: ${choiceValues.join(', ')})`);
+      }
+    }
+
+    if (question.validate) {
+      const result = await question.validate(value, answers);
+      if (result !== true) {
+        const reason = typeof result === 'string' ? result : 'validation failed';
+        throw WorkEaseError.invalidInput(isDefault
+          ? `Missing value for ${question.name}: ${reason}`
+          : `Invalid value for ${question.name}: ${reason}`);
+      }
+    }
+
+    return value;
+  }
+
+  // Split a comma-separated flag value ("crud,types, validation") into a list
+  static parseList(value) {
+    if (value === undefined) return undefined;
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+}
@@ -0,0 +1,80 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { FileLayer } from './file-layer.js';
+import { UiLibrary } from './ui-library.js';
+import { Logger } from './logger.js';
+import { ProjectConfig } from './project-config.js';
+
+// What the code a generator writes needs to compile: UI primitives from the
+// library and npm packages. Generators declare them next to the render that
+// imports them, `ensure` then adds whatever the project is missing and
+// `added` lists the packages that still have to be installed.
+export class Requirements {
+  static components = new Set();
+
+  // Package name to the version to add, null for the one in templates/packages.json
+  static packages = new Map();
+
+  static added = [];
+
+  static reset() {
+    this.components = new Set();
+    this.packages = new Map();
+    this.added = [];
+  }
+
+  // `packages` lists package names, or maps them to versions
+  static require({ components = [], packages = [] }) {
+    components.forEach(name => this.components.add(name));
+    const versions = Array.isArray(packages) ? packages.map(name => [name, null]) : Object.entries(packages);
+    for (const [name, version] of versions) {
+      if (!this.packages.get(name)) this.packages.set(name, version);
+    }
+  }
+
+  // Write the missing primitives and add the missing packages to
+  // package.json, both through the file layer. Primitives the project
+  // already has are left alone, whatever they look like, unless they are
+  // named in `overwrite`. Returns { created, overwritten, packages }.
+  static async ensure(root = FileLayer.root, { overwrite = [] } = {}) {
+    const created = [];
+    const overwritten = [];
+    const components = await UiLibrary.resolve([...this.components]);
+
+    for (const component of components) {
+      for (const file of component.files) {
+        const filePath = path.join(root, await ProjectConfig.sourcePath(file.path, root));
+        const content = await fs.readFile(file.source, 'utf-8');
+
+        if (await FileLayer.pathExists(filePath)) {
+          if (!overwrite.includes(component.name) || await FileLayer.readFile(filePath) === content) continue;
+          overwritten.push(FileLayer.relative(filePath));
+        } else {
+          created.push(FileLayer.relative(filePath));
+        }
+        await FileLayer.ensureDir(path.dirname(filePath));
+        await FileLayer.writeFile(filePath, content);
+      }
+    }
+
+    const packageJsonPath = path.join(root, 'package.json');
+    const packageJson = await FileLayer.readJSON(packageJsonPath);
+    const installed = { ...packageJson.devDependencies, ...packageJson.dependencies };
+    const needed = [...new Set([...this.packages.keys(), ...components.flatMap(component => component.dependencies)])]
+      .filter(name => !installed[name]);
+    const versions = await UiLibrary.packages(needed.filter(name => !this.packages.get(name)));
+    const missing = Object.fromEntries(needed.map(name => [name, this.packages.get(name) || versions[name]]));
+
+    created.forEach(file => Logger.log(chalk.green(`🧱 UI component created at ${file}`)));
+    overwritten.forEach(file => Logger.log(chalk.yellow(`♻️  UI component overwritten at ${file}`)));
+    if (needed.length > 0) {
+      packageJson.dependencies = { ...packageJson.dependencies, ...missing };
+      await FileLayer.writeJSON(packageJsonPath, packageJson);
+      this.added.push(...needed);
+      Logger.log(chalk.green(`📦 Added ${needed.join(', ')} to package.json`));
+    }
+
+    return { created, overwritten, packages: needed };
+  }
+}
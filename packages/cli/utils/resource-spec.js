@@ -0,0 +1,220 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { TemplateEngine } from './template-engine.js';
+import { FileLayer } from './file-layer.js';
+import { WorkEaseError } from './errors.js';
+
+export class ResourceSpec {
+  static defaultFiles = ['workease.resources.json', 'workease.resources.yaml', 'workease.resources.yml'];
+
+  // Field types shared by resource specs and the model, table and form generators
+  static fieldTypes = {
+    string: { prisma: 'String', ts: 'string', zod: 'z.string()', input: 'text' },
+    text: { prisma: 'String', ts: 'string', zod: 'z.string()', input: 'textarea' },
+    email: { prisma: 'String', ts: 'string', zod: 'z.string().email("Invalid email format")', input: 'email' },
+    int: { prisma: 'Int', ts: 'number', zod: 'z.number().int()', input: 'number' },
+    float: { prisma: 'Float', ts: 'number', zod: 'z.number()', input: 'number' },
+    decimal: { prisma: 'Decimal', ts: 'number', zod: 'z.number()', input: 'number' },
+    boolean: { prisma: 'Boolean', ts: 'boolean', zod: 'z.boolean()', input: 'switch' },
+    datetime: { prisma: 'DateTime', ts: 'Date', zod: 'z.coerce.date()', input: 'date' },
+    list: { prisma: 'String[]', ts: 'string[]', zod: 'z.array(z.string())', input: 'tags' },
+    relation: { prisma: 'String', ts: 'string', zod: 'z.string()', input: 'text' }
+  };
+
+  static inputTypes = ['text', 'textarea', 'email', 'number', 'switch', 'date', 'tags', 'select'];
+
+  // The fixed checklists of the model, table and form generators
+  static standardFields = {
+    name: { type: 'string', max: 100 },
+    email: { type: 'email', unique: true },
+    description: { type: 'text', optional: true, max: 500 },
+    isActive: { type: 'boolean', label: 'Status', default: true },
+    userId: { type: 'relation', model: 'User', optional: true },
+    category: { type: 'string' },
+    price: { type: 'decimal', min: 0, max: 999999.99 },
+    tags: { type: 'list', optional: true, default: [] }
+  };
+
+  // Columns every generated model has
+  static systemFields = {
+    id: { type: 'string', label: 'ID' },
+    createdAt: { type: 'datetime', label: 'Created' },
+    updatedAt: { type: 'datetime', label: 'Updated' }
+  };
+
+  static generateTargets = ['model', 'types', 'validation', 'api', 'table', 'form', 'pages'];
+
+  static normalizeField(name, definition, where = name) {
+    const def = typeof definition === 'string' ? { type: definition } : { ...definition };
+
+    if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+      throw WorkEaseError.invalidInput(`${where}: invalid field name "${name}"`);
+    }
+
+    const type = String(def.type || 'string').toLowerCase();
+    const typeInfo = this.fieldTypes[type];
+
+    if (!typeInfo) {
+      throw WorkEaseError.invalidInput(`${where}: unknown type "${def.type}" (supported: ${Object.keys(this.fieldTypes).join(', ')})`);
+    }
+
+    if (def.options !== undefined && (!Array.isArray(def.options) || def.options.length === 0)) {
+      throw WorkEaseError.invalidInput(`${where}: "options" must be a non-empty list`);
+    }
+
+    const input = def.input || (def.options ? 'select' : typeInfo.input);
+
+    if (!this.inputTypes.includes(input)) {
+      throw WorkEaseError.invalidInput(`${where}: unknown input "${input}" (supported: ${this.inputTypes.join(', ')})`);
+    }
+
+    const field = {
+      name,
+      type,
+      label: def.label,
+      optional: Boolean(def.optional),
+      unique: Boolean(def.unique),
+      default: def.default,
+      min: def.min,
+      max: def.max,
+      options: def.options,
+      placeholder: def.placeholder,
+      description: def.description,
+      input,
+      table: def.table !== false,
+      form: def.form !== false
+    };
+
+    if (type === 'relation') {
+      if (!def.model) {
+        throw WorkEaseError.invalidInput(`${where}: relation fields need a "model"`);
+      }
+      const relationName = name.endsWith('Id') ? name.slice(0, -2) : name;
+      field.name = `${relationName}Id`;
+      field.relation = { name: relationName, model: TemplateEngine.toPascalCase(def.model) };
+      field.label = field.label || TemplateEngine.toTitleCase(relationName);
+    }
+
+    field.label = field.label || TemplateEngine.toTitleCase(name);
+
+    return field;
+  }
+
+  // Field definitions for the standard checklist values and "name:type" custom fields
+  static fromSelection(names = [], customFields = '') {
+    const fields = names
+      .filter(name => this.standardFields[name])
+      .map(name => this.normalizeField(name, this.standardFields[name]));
+
+    customFields.split(',').map(field => field.trim()).filter(Boolean).forEach(field => {
+      const [name, type] = field.split(':').map(part => part.trim());
+      fields.push(this.normalizeField(name, { type }, `custom field "${field}"`));
+    });
+
+    return fields;
+  }
+
+  static systemField(name) {
+    return this.normalizeField(name, this.systemFields[name]);
+  }
+
+  static async find(cwd = FileLayer.root) {
+    for (const file of this.defaultFiles) {
+      if (await fs.pathExists(path.join(cwd, file))) {
+        return path.join(cwd, file);
+      }
+    }
+    return null;
+  }
+
+  static async load(filePath) {
+    const specPath = filePath ? FileLayer.resolve(filePath) : await this.find();
+
+    if (!specPath) {
+      throw WorkEaseError.invalidInput(`No resource spec found (looked for ${this.defaultFiles.join(', ')})`);
+    }
+
+    if (!await fs.pathExists(specPath)) {
+      throw WorkEaseError.invalidInput(`Resource spec not found: ${specPath}`);
+    }
+
+    const source = await fs.readFile(specPath, 'utf8');
+    let spec;
+
+    try {
+      spec = /\.ya?ml$/i.test(specPath) ? YAML.parse(source) : JSON.parse(source);
+    } catch (error) {
+      throw WorkEaseError.invalidInput(`Could not parse ${path.basename(specPath)}: ${error.message}`);
+    }
+
+    return this.normalize(spec, path.basename(specPath));
+  }
+
+  static normalize(spec, source = 'spec') {
+    if (!spec || typeof spec !== 'object' || !spec.resources) {
+      throw WorkEaseError.invalidInput(`${source}: expected a "resources" list`);
+    }
+
+    const entries = Array.isArray(spec.resources)
+      ? spec.resources
+      : Object.entries(spec.resources).map(([name, resource]) => ({ name, ...resource }));
+
+    const resources = entries.map((resource, index) => {
+      const where = `${source}: resources[${resource && resource.name ? resource.name : index}]`;
+
+      if (!resource || !resource.name || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(resource.name)) {
+        throw WorkEaseError.invalidInput(`${where}: "name" must start with a letter and contain only letters and numbers`);
+      }
+
+      if (!resource.fields || typeof resource.fields !== 'object' || Object.keys(resource.fields).length === 0) {
+        throw WorkEaseError.invalidInput(`${where}: "fields" must describe at least one field`);
+      }
+
+      const fieldEntries = Array.isArray(resource.fields)
+        ? resource.fields.map(field => [field.name, field])
+        : Object.entries(resource.fields);
+
+      const fields = fieldEntries.map(([name, definition]) =>
+        this.normalizeField(name, definition, `${where}.fields.${name}`));
+
+      const generate = resource.generate || this.generateTargets;
+      const unknownTargets = generate.filter(target => !this.generateTargets.includes(target));
+      if (unknownTargets.length > 0) {
+        throw WorkEaseError.invalidInput(`${where}: unknown generate target(s) ${unknownTargets.join(', ')} (supported: ${this.generateTargets.join(', ')})`);
+      }
+
+      if (generate.includes('pages') && !['api', 'table', 'form'].every(target => generate.includes(target))) {
+        throw WorkEaseError.invalidInput(`${where}: "pages" needs the api, table and form targets`);
+      }
+
+      const name = TemplateEngine.toPascalCase(resource.name);
+
+      return {
+        name,
+        description: resource.description || `${name} data model`,
+        route: resource.route ? resource.route.replace(/^\/+|\/+$/g, '') : TemplateEngine.pluralize(TemplateEngine.toKebabCase(name)),
+        fields,
+        generate,
+        table: { features: ['pagination', 'sorting', 'search', 'crud'], ...resource.table },
+        form: { features: ['validation'], ...resource.form },
+        backRelations: []
+      };
+    });
+
+    // Relations between resources of the same spec get their opposite side
+    resources.forEach(resource => {
+      resource.fields.filter(field => field.relation).forEach(field => {
+        const target = resources.find(other => other.name === field.relation.model);
+        if (target) {
+          target.backRelations.push({
+            name: TemplateEngine.pluralize(TemplateEngine.toCamelCase(resource.name)),
+            model: resource.name
+          });
+        }
+      });
+    });
+
+    return resources;
+  }
+}
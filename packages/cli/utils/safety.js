@@ -0,0 +1,341 @@
+import path from 'path';
+import crypto from 'crypto';
+import { execa } from 'execa';
+import { FileLayer } from './file-layer.js';
+import { Doctor } from './doctor.js';
+import { ProjectConfig } from './project-config.js';
+import { WorkEaseError } from './errors.js';
+
+// `workease check`: rules for settings that can damage the machine, the
+// database or leak secrets. A rule is
+//   { id, description, severity, options, check(context) }
+// where check returns problems { file, message, severity?, hint?, fix? }.
+// `fix` makes the change through the file layer and only runs with --fix.
+// Projects configure the rules under "safety" in workease.config.json:
+//   { "safety": { "rules": { "committed-env": "warning", "lifecycle-scripts": { "allow": ["husky"] } } } }
+// where a rule is "off", a severity, or its options (with an optional severity).
+export class Safety {
+  static severities = ['error', 'warning', 'info'];
+
+  // npm runs these on install (and prepare on publish), in every clone
+  static lifecycleScripts = ['preinstall', 'install', 'postinstall', 'preprepare', 'prepare', 'postprepare', 'prepublish'];
+
+  static envPattern = /(^|\/)\.env(\.(?!example$|sample$|template$)[^/]+)?$/;
+
+  static databasePattern = /\.(db|sqlite|sqlite3)(-journal)?$/;
+
+  static rules = [
+    {
+      id: 'lifecycle-scripts',
+      description: 'Install lifecycle scripts that run more than the allowed tools',
+      severity: 'error',
+      options: { allow: ['echo', 'husky', 'patch-package'] },
+      check: context => this.checkLifecycleScripts(context)
+    },
+    {
+      id: 'destructive-prisma',
+      description: 'Scripts that reset the database or accept data loss',
+      severity: 'error',
+      check: context => this.checkDestructivePrisma(context)
+    },
+    {
+      id: 'committed-env',
+      description: '.env files that are committed or not ignored by git',
+      severity: 'error',
+      check: context => this.checkExposedFiles(context, this.envPattern, ['.'], 'holds secrets')
+    },
+    {
+      id: 'committed-database',
+      description: 'SQLite databases that are committed or not ignored by git',
+      severity: 'error',
+      check: context => this.checkExposedFiles(context, this.databasePattern, ['.', 'prisma'], 'is a local database')
+    },
+    {
+      id: 'insecure-auth',
+      description: 'Hard-coded secrets and credentials, weak NEXTAUTH_SECRET and debug settings in the auth setup',
+      severity: 'error',
+      check: context => this.checkAuth(context)
+    }
+  ];
+
+  // Rules plugins register, with the plugin that added them
+  static register(rule, { source } = {}) {
+    if (!rule || !/^[a-z][a-z0-9-]*$/.test(rule.id || '')) {
+      throw new Error('safety rules need an "id" made of lowercase letters, numbers and hyphens');
+    }
+    if (this.rules.some(existing => existing.id === rule.id)) {
+      throw new Error(`safety rule "${rule.id}" is already defined`);
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`safety rule "${rule.id}" needs a check function`);
+    }
+    this.rules.push({ severity: 'error', ...rule, plugin: source });
+  }
+
+  // The enabled rules with the project's options, severity is set only when configured
+  static configure(config = {}) {
+    const settings = config.rules || {};
+    const unknown = Object.keys(settings).filter(id => !this.rules.some(rule => rule.id === id));
+    if (unknown.length > 0) {
+      throw WorkEaseError.invalidInput(`Unknown safety rule in ${ProjectConfig.fileName}: ${unknown.join(', ')}`, {
+        hint: `Rules: ${this.rules.map(rule => rule.id).join(', ')}`
+      });
+    }
+
+    return this.rules
+      .map(rule => {
+        const setting = settings[rule.id];
+        const { severity, ...options } = typeof setting === 'object' && setting !== null ? setting : { severity: setting };
+        if (severity !== undefined && severity !== 'off' && !this.severities.includes(severity)) {
+          throw WorkEaseError.invalidInput(`Invalid severity for safety rule ${rule.id}: ${severity}`, {
+            hint: `Use off, ${this.severities.join(', ')}`
+          });
+        }
+        return { ...rule, severity, options: { ...rule.options, ...options } };
+      })
+      .filter(rule => rule.severity !== 'off');
+  }
+
+  // Findings of every enabled rule: { rule, severity, file, message, hint, fix }
+  static async run(root = FileLayer.root) {
+    const config = await ProjectConfig.load(root);
+    const rules = this.configure(config.safety);
+    const base = {
+      root,
+      packageJson: await FileLayer.pathExists(path.join(root, 'package.json'))
+        ? await FileLayer.readJSON(path.join(root, 'package.json'))
+        : {},
+      sources: await Doctor.sources(root),
+      tracked: await this.trackedFiles(root),
+      ignores: await FileLayer.pathExists(path.join(root, '.gitignore'))
+        ? (await FileLayer.readFile(path.join(root, '.gitignore'))).split('\n')
+        : []
+    };
+
+    const findings = [];
+    for (const rule of rules) {
+      for (const problem of await rule.check({ ...base, options: rule.options })) {
+        findings.push({
+          rule: rule.id,
+          ...problem,
+          // A configured severity replaces the levels the rule picks
+          severity: rule.severity || problem.severity || this.rules.find(entry => entry.id === rule.id).severity
+        });
+      }
+    }
+    return findings;
+  }
+
+  // Files git tracks, null outside a repository (and for a virtual project)
+  static async trackedFiles(root) {
+    if (FileLayer.virtual) return null;
+    try {
+      const { stdout } = await execa('git', ['ls-files', '-z'], { cwd: root });
+      return stdout.split('\0').filter(Boolean);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Whether the root .gitignore lines ignore a path (relative, with /)
+  static gitignored(file, lines) {
+    let ignored = false;
+    for (const rawLine of lines) {
+      let line = rawLine.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const negated = line.startsWith('!');
+      if (negated) line = line.slice(1);
+      const directory = line.endsWith('/');
+      line = line.replace(/\/+$/, '');
+      const anchored = line.includes('/');
+      const pattern = line
+        .replace(/^\//, '')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*\*/g, '\0')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]')
+        .replace(/\0/g, '.*');
+
+      const regex = new RegExp(`${anchored ? '^' : '(^|/)'}${pattern}${directory ? '/' : '(/|$)'}`);
+      if (regex.test(file)) ignored = !negated;
+    }
+    return ignored;
+  }
+
+  // A script split into the commands it runs
+  static commands(script) {
+    return script.split(/\s*(?:&&|\|\||;)\s*/).filter(Boolean);
+  }
+
+  // The tool a command runs: "npx prisma generate" runs prisma
+  static program(command) {
+    return command
+      .replace(/^(\w+=\S*\s+)+/, '')
+      .replace(/^(npx|bunx|pnpm exec|pnpm dlx|yarn dlx)\s+/, '')
+      .split(/\s+/)[0];
+  }
+
+  static async writeScripts(root, update) {
+    const packageJsonPath = path.join(root, 'package.json');
+    const packageJson = await FileLayer.readJSON(packageJsonPath);
+    update(packageJson.scripts);
+    await FileLayer.writeJSON(packageJsonPath, packageJson);
+  }
+
+  // Lifecycle scripts run on every install, by whoever clones the project.
+  // The fix drops the commands that aren't allowed.
+  static checkLifecycleScripts({ root, packageJson, options }) {
+    const scripts = packageJson.scripts || {};
+    const problems = [];
+
+    for (const hook of this.lifecycleScripts.filter(name => scripts[name])) {
+      const commands = this.commands(scripts[hook]);
+      const unsafe = commands.filter(command => !options.allow.includes(this.program(command)));
+      if (unsafe.length === 0) continue;
+
+      const kept = commands.filter(command => !unsafe.includes(command));
+      problems.push({
+        file: 'package.json',
+        message: `${hook} script runs ${unsafe.map(command => `"${command}"`).join(', ')} on every install`,
+        hint: `Run it as a normal script, or allow ${this.program(unsafe[0])} in the lifecycle-scripts rule`,
+        fix: () => this.writeScripts(root, current => {
+          if (kept.length > 0) {
+            current[hook] = kept.join(' && ');
+          } else {
+            delete current[hook];
+          }
+        })
+      });
+    }
+    return problems;
+  }
+
+  // `prisma migrate reset` and `db push --force-reset` drop every table.
+  // Flags that accept data loss can be taken out, a reset can't.
+  static checkDestructivePrisma({ root, packageJson }) {
+    const problems = [];
+
+    for (const [name, script] of Object.entries(packageJson.scripts || {})) {
+      for (const command of this.commands(script)) {
+        if (this.program(command) !== 'prisma') continue;
+
+        if (/\bmigrate\s+reset\b/.test(command)) {
+          problems.push({
+            file: 'package.json',
+            message: `script "${name}" runs "${command}", which drops the database`,
+            hint: 'Run prisma migrate reset by hand when you mean it'
+          });
+        } else if (/\bdb\s+push\b/.test(command) && /--(force-reset|accept-data-loss)\b/.test(command)) {
+          const safe = command.replace(/\s+--(force-reset|accept-data-loss)\b/g, '');
+          problems.push({
+            file: 'package.json',
+            message: `script "${name}" runs "${command}", which can drop tables and data`,
+            fix: () => this.writeScripts(root, current => {
+              current[name] = current[name].replace(command, safe);
+            })
+          });
+        }
+      }
+    }
+    return problems;
+  }
+
+  // Files matching `pattern` that git tracks, or that exist in `dirs` and
+  // .gitignore doesn't cover. The fix adds the untracked ones to .gitignore,
+  // a committed file has to be taken out of the repository by hand.
+  static async checkExposedFiles({ root, tracked, ignores }, pattern, dirs, reason) {
+    const problems = [];
+    const trackedMatches = (tracked || []).filter(file => pattern.test(file));
+
+    const present = [];
+    for (const dir of dirs) {
+      if (!await FileLayer.pathExists(path.join(root, dir))) continue;
+      for (const entry of await this.listFiles(path.join(root, dir))) {
+        const file = path.posix.join(dir, entry).replace(/^\.\//, '');
+        if (pattern.test(file) && !trackedMatches.includes(file)) present.push(file);
+      }
+    }
+
+    const addToGitignore = file => async () => {
+      const gitignorePath = path.join(root, '.gitignore');
+      const current = await FileLayer.pathExists(gitignorePath) ? await FileLayer.readFile(gitignorePath) : '';
+      if (current.split('\n').some(line => line.trim() === `/${file}` || line.trim() === file)) return;
+      await FileLayer.writeFile(gitignorePath, `${current}${current && !current.endsWith('\n') ? '\n' : ''}/${file}\n`);
+    };
+
+    for (const file of trackedMatches) {
+      const steps = [`git rm --cached ${file}`, !this.gitignored(file, ignores) && 'add it to .gitignore', reason === 'holds secrets' && 'rotate the secrets it held'];
+      problems.push({
+        file,
+        message: `${reason} and is committed to git`,
+        hint: `Take it out of the repository: ${steps.filter(Boolean).join(', ')}`
+      });
+    }
+    for (const file of present.filter(candidate => !this.gitignored(candidate, ignores))) {
+      problems.push({
+        file,
+        severity: 'warning',
+        message: `${reason} and is not in .gitignore, git add -A would commit it`,
+        fix: addToGitignore(file)
+      });
+    }
+    return problems;
+  }
+
+  static async listFiles(dir) {
+    return (await FileLayer.readdir(dir))
+      .filter(entry => !entry.directory)
+      .map(entry => entry.name);
+  }
+
+  // Line number of an offset in a file
+  static line(content, index) {
+    return content.slice(0, index).split('\n').length;
+  }
+
+  // Secrets and demo logins in the NextAuth options, debug output and
+  // insecure cookies, and a NEXTAUTH_SECRET that is missing its randomness.
+  // The fix gives a weak secret a random value.
+  static async checkAuth({ root, sources }) {
+    const problems = [];
+    const checks = [
+      { pattern: /\bsecret\s*:\s*(['"`])[^'"`]*\1/g, message: 'hard-coded auth secret, read it from process.env.NEXTAUTH_SECRET' },
+      { pattern: /\b(?:credentials|user)\??\.password\s*===?\s*(['"`])[^'"`]*\1/g, message: 'password compared with a hard-coded value, a demo login works in production' },
+      { pattern: /\bdebug\s*:\s*true\b/g, message: 'debug: true logs tokens and sessions, tie it to NODE_ENV', severity: 'warning' },
+      { pattern: /\buseSecureCookies\s*:\s*false\b/g, message: 'useSecureCookies: false sends the session cookie over plain HTTP', severity: 'warning' }
+    ];
+
+    for (const { file, content } of sources) {
+      if (!/from\s+['"]next-auth|require\(\s*['"]next-auth/.test(content)) continue;
+      for (const { pattern, message, severity } of checks) {
+        for (const match of content.matchAll(pattern)) {
+          problems.push({ file: `${file}:${this.line(content, match.index)}`, message, ...(severity && { severity }) });
+        }
+      }
+    }
+
+    for (const file of Doctor.envFiles) {
+      const envPath = path.join(root, file);
+      if (!await FileLayer.pathExists(envPath)) continue;
+
+      const content = await FileLayer.readFile(envPath);
+      const match = content.match(/^\s*(?:export\s+)?NEXTAUTH_SECRET\s*=\s*(.*)$/m);
+      if (!match) continue;
+
+      const value = match[1].trim().replace(/^(['"])(.*)\1$/, '$2');
+      if (value.length >= 32 && !/(your|change|secret|example|placeholder|xxx)/i.test(value)) continue;
+
+      problems.push({
+        file: `${file}:${this.line(content, match.index + match[0].length - match[0].trimStart().length)}`,
+        message: 'NEXTAUTH_SECRET is a placeholder or shorter than 32 characters, sessions can be forged',
+        fix: async () => {
+          const secret = crypto.randomBytes(32).toString('base64');
+          const current = await FileLayer.readFile(envPath);
+          await FileLayer.writeFile(envPath, current.replace(/^(\s*(?:export\s+)?NEXTAUTH_SECRET\s*=).*$/m, `$1"${secret}"`));
+        }
+      });
+    }
+    return problems;
+  }
+}
@@ -0,0 +1,153 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { Generator } from './generator.js';
+import { TemplateEngine } from './template-engine.js';
+import { FileLayer } from './file-layer.js';
+import { Prompter } from './prompter.js';
+import { Logger } from './logger.js';
+import { Requirements } from './requirements.js';
+
+// `workease templates check`: lint the built-in templates, and the project's
+// copies of them, against the variables the generators really pass. The
+// samples below run in dry-run mode in an empty scratch project (with a copy
+// of the project's .workease/templates) while the template engine records
+// every render. Between them they render each template and each of its
+// branches.
+export class TemplateCheck {
+  static samples = [
+    { type: 'model', options: { name: 'Post', fields: 'id,name,email,description,isActive,userId,createdAt,updatedAt', features: 'crud,types,validation,seeder' } },
+    { type: 'model', options: { name: 'Tag', fields: 'id,name', features: 'crud' } },
+    { type: 'resource', options: { name: 'Article', fields: 'title:string,body:text,published:boolean,views:int', description: 'Articles' } },
+    { type: 'table', options: { name: 'Users', columns: 'name,email', features: 'pagination,sorting,filtering,search,crud' } },
+    { type: 'table', options: { name: 'Plain', columns: 'name', features: 'sorting' } },
+    { type: 'form', options: { name: 'Product', formType: 'combined', fields: 'name,email,description,isActive,category,price,tags', features: 'validation,autosave,richtext,datepicker' } },
+    { type: 'form', options: { name: 'Make', formType: 'create', fields: 'name,isActive', features: 'validation' } },
+    { type: 'form', options: { name: 'Edit', formType: 'edit', fields: 'name' } },
+    { type: 'dashboard', options: { name: 'Admin', widgets: 'stats,activity,charts,tables,actions', features: 'realtime,filtering,export,theme,responsive' } },
+    { type: 'dashboard', options: { name: 'Lite', widgets: 'stats' } },
+    { type: 'api', options: { name: 'users', route: 'users', methods: 'GET,POST,PUT,DELETE' } },
+    { type: 'component', options: { name: 'Card' } },
+    { type: 'page', options: { name: 'About', route: 'about' } },
+    { type: 'auth', answers: { provider: 'nextauth', features: ['credentials', 'google', 'github', 'registration', 'profiles', 'rbac'], includeDatabase: true, includeUI: true } },
+    { type: 'auth', answers: { provider: 'nextauth', features: ['credentials'], includeDatabase: true, includeUI: true } }
+  ];
+
+  // The problems found, as `check` findings: { rule, severity, file, message }
+  static async run(root = FileLayer.root) {
+    const findings = [];
+    const overridesDir = path.join(root, TemplateEngine.overridesDir);
+    const builtIn = await TemplateEngine.builtInTemplates();
+    const overrides = await fs.pathExists(overridesDir)
+      ? (await fs.readdir(overridesDir))
+        .filter(file => file.endsWith('.template'))
+        .map(file => file.slice(0, -'.template'.length))
+      : [];
+
+    // Where a template comes from: the project copy (relative) or the built-in one
+    const templateFile = name => (overrides.includes(name)
+      ? path.join(TemplateEngine.overridesDir, `${name}.template`)
+      : path.join(TemplateEngine.templatesDir, `${name}.template`));
+
+    for (const name of overrides.filter(name => !builtIn.includes(name))) {
+      findings.push({ rule: 'unknown-template', severity: 'warning', file: templateFile(name), message: 'No generator uses a template of this name' });
+    }
+
+    // Templates that don't parse, their generators fail with the same error
+    const broken = [];
+    for (const name of [...new Set([...builtIn, ...overrides])]) {
+      const source = await fs.readFile(path.resolve(root, templateFile(name)), 'utf-8');
+      try {
+        TemplateEngine.parse(source, name);
+      } catch (error) {
+        broken.push(name);
+        const [, line, message] = error.message.match(/^.*?:(\d+): (.*)$/s) || [];
+        findings.push({ rule: 'template-syntax', severity: 'error', file: line ? `${templateFile(name)}:${line}` : templateFile(name), message: message || error.message });
+      }
+    }
+
+    const renders = await this.renderSamples(overridesDir, broken, findings);
+
+    for (const name of builtIn) {
+      const file = templateFile(name);
+      const own = renders.filter(entry => entry.template === name);
+
+      if (own.length === 0) {
+        if (!broken.includes(name) && !renders.some(entry => entry.partials.includes(name))) {
+          findings.push({ rule: 'unchecked-template', severity: 'info', file, message: 'Not rendered by any generator' });
+        }
+        continue;
+      }
+
+      // Unused only when no render of the template uses the variable
+      own
+        .map(entry => entry.unused)
+        .reduce((left, right) => left.filter(variable => right.includes(variable)))
+        .forEach(variable => findings.push({ rule: 'unused-variable', severity: 'error', file, message: `Variable "${variable}" is never used` }));
+    }
+
+    const seen = new Set();
+    for (const { template: rendered, unresolved } of renders) {
+      for (const { template, line, tag } of unresolved) {
+        const location = `${templateFile(template)}:${line}`;
+        if (seen.has(`${location} ${tag}`)) continue;
+        seen.add(`${location} ${tag}`);
+        findings.push({
+          rule: 'unresolved-placeholder',
+          severity: 'error',
+          file: location,
+          message: `${tag} is not defined${template === rendered ? '' : ` (included from ${rendered})`}`
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  // Run every sample and return the renders the template engine recorded:
+  // [{ template, partials, unresolved, unused }]
+  static async renderSamples(overridesDir, broken, findings) {
+    const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'workease-templates-'));
+    const saved = {
+      fileLayer: { root: FileLayer.root, dryRun: FileLayer.dryRun },
+      logger: { json: Logger.json, silent: Logger.silent, result: Logger.result },
+      prompter: { interactive: Prompter.interactive, replayed: Prompter.replayed, recorded: Prompter.recorded, uncovered: Prompter.uncovered }
+    };
+
+    TemplateEngine.diagnostics = [];
+    try {
+      await fs.writeJSON(path.join(scratch, 'package.json'), { name: 'workease-templates-check', private: true });
+      if (await fs.pathExists(overridesDir)) {
+        await fs.copy(overridesDir, path.join(scratch, TemplateEngine.overridesDir));
+      }
+
+      for (const sample of this.samples) {
+        FileLayer.reset({ dryRun: true, root: scratch });
+        Logger.reset({ silent: true });
+        Object.assign(Prompter, { interactive: false, replayed: sample.answers || null, recorded: {}, uncovered: [] });
+
+        try {
+          if (sample.type === 'auth') {
+            await Generator.generateAuthSystem();
+          } else {
+            await Generator.generate(sample.type, sample.options);
+          }
+        } catch (error) {
+          if (broken.some(name => error.message.startsWith(`${name}:`))) continue;
+          const command = sample.type === 'auth' ? 'workease auth' : `workease g ${sample.type} ${sample.options.name}`;
+          findings.push({ rule: 'generator-error', severity: 'error', file: null, message: `${command} failed: ${error.message}` });
+        }
+      }
+
+      return TemplateEngine.diagnostics;
+    } finally {
+      TemplateEngine.diagnostics = null;
+      FileLayer.reset(saved.fileLayer);
+      Object.assign(Logger, saved.logger);
+      Object.assign(Prompter, saved.prompter);
+      // Nothing the samples required is installed
+      Requirements.reset();
+      await fs.remove(scratch);
+    }
+  }
+}
@@ -1,6 +1,8 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { FileLayer } from './file-layer.js';
+import { WorkEaseError } from './errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -8,16 +10,291 @@ const __dirname = path.dirname(__filename);
 export class TemplateEngine {
   static templatesDir = path.join(__dirname, '..', 'templates', 'generators');
 
-  static replaceVariables(template, variables) {
-    let result = template;
-    
-    // Replace all template variables
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      result = result.replace(regex, value);
+  // Unresolved placeholders and unused variables fail the render (--no-strict-templates
+  // or "strictTemplates": false in workease.config.json turn this off)
+  static strict = true;
+
+  // Set to an array by `workease templates check`: every render is recorded
+  // there ({ template, partials, unresolved, unused }) instead of failing
+  static diagnostics = null;
+
+  // Project copies of the templates (`workease templates eject`), used before the built-in ones
+  static overridesDir = path.join('.workease', 'templates');
+
+  // {{name}}, nested paths ({{user.name}}) and filters ({{name | kebab}}),
+  // {{#if x}}...{{else}}...{{/if}}, {{#unless x}}, {{#each list}} (with {{this}},
+  // {{@index}}, {{@key}}, {{@first}}, {{@last}}) and partials ({{> name}}).
+  // Anything else between braces, like JSX's style={{ ... }}, is left as is;
+  // \{{ writes a literal "{{".
+  static tagPattern = /\\\{\{|\{\{\s*(?:(#if|#unless|#each)\s+([\w.@]+)|\/(if|unless|each)|(else)|>\s*([\w./-]+)|([\w.@]+(?:\s*\|\s*\w+)*))\s*\}\}/g;
+
+  static filters = {
+    pascal: value => this.toPascalCase(value),
+    camel: value => this.toCamelCase(value),
+    kebab: value => this.toKebabCase(this.toPascalCase(value)),
+    snake: value => this.toSnakeCase(this.toPascalCase(value)),
+    title: value => this.toTitleCase(value),
+    plural: value => this.pluralize(value),
+    lower: value => value.toLowerCase(),
+    upper: value => value.toUpperCase()
+  };
+
+  // Render a template string; only unresolved placeholders are checked, since
+  // the variables may be shared by several templates
+  static replaceVariables(template, variables, name = 'template') {
+    const unresolved = [];
+    const output = this.render(template, variables, { name, unresolved });
+    this.verify(name, { unresolved });
+    return output;
+  }
+
+  // Placeholders the variables don't resolve are added to `unresolved` as
+  // { template, line, tag }, and stay in the output as they were written
+  static render(template, variables = {}, { partials = {}, name = 'template', unresolved = [] } = {}) {
+    const nodes = this.parse(template, name);
+    return this.renderNodes(nodes, [{ context: variables, data: {} }], { partials, name, unresolved });
+  }
+
+  // Template source to a tree of text, variable, block and partial nodes.
+  // Block tags and partials that stand alone on their line take the whole
+  // line with them, so they don't leave blank lines in the output.
+  static parse(template, name = 'template') {
+    const root = { children: [] };
+    // Open blocks, each with the branch it was added to
+    const stack = [{ block: root, branch: null }];
+    let branch = root.children;
+    let cursor = 0;
+
+    const fail = (message, line) => {
+      throw WorkEaseError.invalidInput(`${name}:${line}: ${message}`);
+    };
+
+    for (const match of template.matchAll(this.tagPattern)) {
+      const [tag, open, openPath, close, isElse, partial, expression] = match;
+      const line = template.slice(0, match.index).split('\n').length;
+      let start = match.index;
+      let end = start + tag.length;
+      let indent = '';
+
+      if (tag === '\\{{') {
+        branch.push({ type: 'text', value: template.slice(cursor, start) + '{{' });
+        cursor = end;
+        continue;
+      }
+
+      if (!expression) {
+        const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+        const newline = template.indexOf('\n', end);
+        const lineEnd = newline === -1 ? template.length : newline + 1;
+        if (!template.slice(lineStart, start).trim() && !template.slice(end, lineEnd).trim()) {
+          indent = template.slice(lineStart, start);
+          start = lineStart;
+          end = lineEnd;
+        }
+      }
+
+      branch.push({ type: 'text', value: template.slice(cursor, start) });
+      cursor = end;
+
+      if (expression) {
+        const [variable, ...filters] = expression.split('|').map(part => part.trim());
+        const unknown = filters.find(filter => !this.filters[filter]);
+        if (unknown) {
+          fail(`Unknown filter "${unknown}" (expected one of: ${Object.keys(this.filters).join(', ')})`, line);
+        }
+        branch.push({ type: 'variable', path: variable, filters, tag, line });
+      } else if (partial) {
+        branch.push({ type: 'partial', name: partial, indent, line });
+      } else if (open) {
+        const block = { type: open.slice(1), path: openPath, line, children: [], inverse: [] };
+        branch.push(block);
+        stack.push({ block, branch });
+        branch = block.children;
+      } else if (isElse) {
+        const { block } = stack[stack.length - 1];
+        if (block === root || branch === block.inverse) {
+          fail('Unexpected {{else}}', line);
+        }
+        branch = block.inverse;
+      } else {
+        const { block, branch: parentBranch } = stack[stack.length - 1];
+        if (block === root || block.type !== close) {
+          fail(`Unexpected {{/${close}}}${block === root ? '' : ` (expected {{/${block.type}}} for line ${block.line})`}`, line);
+        }
+        stack.pop();
+        branch = parentBranch;
+      }
     }
-    
-    return result;
+
+    if (stack.length > 1) {
+      const { block } = stack[stack.length - 1];
+      fail(`{{#${block.type} ${block.path}}} is never closed`, block.line);
+    }
+
+    branch.push({ type: 'text', value: template.slice(cursor) });
+    return root.children;
+  }
+
+  static renderNodes(nodes, scopes, options) {
+    return nodes.map(node => this.renderNode(node, scopes, options)).join('');
+  }
+
+  static renderNode(node, scopes, options) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'variable': {
+        const { found, value } = this.lookup(node.path, scopes);
+        if (!found) {
+          options.unresolved.push({ template: options.name, line: node.line, tag: node.tag });
+          return node.tag;
+        }
+        return node.filters.reduce((result, filter) => this.filters[filter](result), this.stringify(value));
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = this.isTruthy(this.blockValue(node, scopes, options));
+        const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+        return this.renderNodes(branch, scopes, options);
+      }
+      case 'each': {
+        const value = this.blockValue(node, scopes, options);
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+        if (entries.length === 0) {
+          return this.renderNodes(node.inverse, scopes, options);
+        }
+
+        return entries.map(([key, item], index) => this.renderNodes(node.children, [...scopes, {
+          context: item,
+          data: { key, index, first: index === 0, last: index === entries.length - 1 }
+        }], options)).join('');
+      }
+      case 'partial': {
+        if (!(node.name in options.partials)) {
+          throw WorkEaseError.invalidInput(`${options.name}:${node.line}: Unknown partial "${node.name}"`);
+        }
+        const output = this.renderNodes(this.parse(options.partials[node.name], node.name), scopes, { ...options, name: node.name });
+        return node.indent ? output.replace(/^(?=.)/gm, node.indent) : output;
+      }
+    }
+  }
+
+  // The value a block tests or loops over. Missing keys of a defined variable
+  // ({{#if feature.search}}) are just false, an undefined variable is reported.
+  static blockValue(node, scopes, options) {
+    const [first] = node.path.split('.');
+    if (!this.lookup(first, scopes).found) {
+      options.unresolved.push({ template: options.name, line: node.line, tag: `{{#${node.type} ${node.path}}}` });
+    }
+    return this.lookup(node.path, scopes).value;
+  }
+
+  // Lists print comma-separated, so `{{tags}}` and `{{#each tags}}` both work
+  static stringify(value) {
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+
+  // Resolve "name", "user.name", "this", "this.name" or "@index" against the
+  // innermost scope that defines it
+  static lookup(expression, scopes) {
+    const [first, ...rest] = expression.split('.');
+    let value;
+    let found = false;
+
+    if (first === 'this') {
+      value = scopes[scopes.length - 1].context;
+      found = true;
+    } else if (first.startsWith('@')) {
+      const data = scopes[scopes.length - 1].data;
+      found = first.slice(1) in data;
+      value = data[first.slice(1)];
+    } else {
+      for (let i = scopes.length - 1; i >= 0 && !found; i--) {
+        const context = scopes[i].context;
+        if (context !== null && typeof context === 'object' && first in context) {
+          value = context[first];
+          found = true;
+        }
+      }
+    }
+
+    for (const key of rest) {
+      if (!found || value === null || value === undefined || !(key in Object(value))) {
+        return { found: false, value: undefined };
+      }
+      value = value[key];
+    }
+
+    return { found, value };
+  }
+
+  // List membership for {{#if}}: ['crud', 'search'] -> { crud: true, search: true }
+  static flags(list = []) {
+    return Object.fromEntries(list.map(item => [item, true]));
+  }
+
+  static isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  // Top-level variable names a template refers to, in any branch (partials included)
+  static references(nodes, partials = {}, names = new Set(), seen = new Set()) {
+    for (const node of nodes) {
+      if (node.path) {
+        const [first] = node.path.split('.');
+        if (first !== 'this' && !first.startsWith('@')) names.add(first);
+      }
+      if (node.children) {
+        this.references(node.children, partials, names, seen);
+        this.references(node.inverse, partials, names, seen);
+      }
+      if (node.type === 'partial' && node.name in partials && !seen.has(node.name)) {
+        seen.add(node.name);
+        this.references(this.parse(partials[node.name], node.name), partials, names, seen);
+      }
+    }
+    return names;
+  }
+
+  // Fail the render (or record the problems for `templates check`) when a
+  // placeholder was left unresolved or a variable was never used
+  static verify(templateName, { unresolved = [], unused = [], partials = [] } = {}) {
+    const seen = new Set();
+    unresolved = unresolved.filter(({ template, line, tag }) => {
+      const key = `${template}:${line}:${tag}`;
+      return !seen.has(key) && seen.add(key);
+    });
+
+    if (this.diagnostics) {
+      this.diagnostics.push({ template: templateName, partials, unresolved, unused });
+      return;
+    }
+
+    if (!this.strict || (unresolved.length === 0 && unused.length === 0)) return;
+
+    const problems = [
+      ...unresolved.map(({ template, line, tag }) => `${template}:${line}: ${tag} is not defined`),
+      ...unused.map(name => `${templateName}: variable "${name}" is never used`)
+    ];
+    throw WorkEaseError.invalidInput(`Template ${templateName} does not match its variables:\n  ${problems.join('\n  ')}`, {
+      hint: 'Run workease templates check, or pass --no-strict-templates to render it anyway'
+    });
+  }
+
+  // Partials a template uses, loaded with `load(name)` (recursively)
+  static async loadPartials(template, load, partials = {}) {
+    for (const match of template.matchAll(this.tagPattern)) {
+      const name = match[5];
+      if (name && !(name in partials)) {
+        partials[name] = await load(name);
+        await this.loadPartials(partials[name], load, partials);
+      }
+    }
+    return partials;
   }
 
   static toPascalCase(str) {
@@ -45,7 +322,39 @@ export class TemplateEngine {
       .toLowerCase();
   }
 
+  static toTitleCase(str) {
+    return str
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/[-_\s]+/g, ' ')
+      .trim()
+      .replace(/(^|\s)[a-z]/g, char => char.toUpperCase());
+  }
+
+  static pluralize(str) {
+    if (/[^aeiou]y$/i.test(str)) return str.slice(0, -1) + 'ies';
+    if (/(s|x|z|ch|sh)$/i.test(str)) return str + 'es';
+    return str + 's';
+  }
+
+  // Names of the built-in templates ("component.tsx", "data-table.tsx", ...)
+  static async builtInTemplates() {
+    const files = await fs.readdir(this.templatesDir);
+    return files
+      .filter(file => file.endsWith('.template'))
+      .map(file => file.slice(0, -'.template'.length))
+      .sort();
+  }
+
+  static overridePath(templateName) {
+    return FileLayer.resolve(path.join(this.overridesDir, `${templateName}.template`));
+  }
+
   static async loadTemplate(templateName) {
+    const overridePath = this.overridePath(templateName);
+    if (await FileLayer.pathExists(overridePath)) {
+      return await FileLayer.readFile(overridePath);
+    }
+
     const templatePath = path.join(this.templatesDir, `${templateName}.template`);
     
     if (!await fs.pathExists(templatePath)) {
@@ -55,15 +364,27 @@ export class TemplateEngine {
     return await fs.readFile(templatePath, 'utf-8');
   }
 
-  static async generateFromTemplate(templateName, outputPath, variables) {
+  static async renderTemplate(templateName, variables = {}) {
     const template = await this.loadTemplate(templateName);
-    const content = this.replaceVariables(template, variables);
+    const partials = await this.loadPartials(template, name => this.loadTemplate(name));
+    const unresolved = [];
+    const output = this.render(template, variables, { partials, name: templateName, unresolved });
+
+    const references = this.references(this.parse(template, templateName), partials);
+    const unused = Object.keys(variables).filter(name => !references.has(name));
+    this.verify(templateName, { unresolved, unused, partials: Object.keys(partials) });
+
+    return output;
+  }
+
+  static async generateFromTemplate(templateName, outputPath, variables) {
+    const content = await this.renderTemplate(templateName, variables);
     
     // Ensure directory exists
-    await fs.ensureDir(path.dirname(outputPath));
+    await FileLayer.ensureDir(path.dirname(outputPath));
     
     // Write file
-    await fs.writeFile(outputPath, content);
+    await FileLayer.writeFile(outputPath, content);
     
     return outputPath;
   }
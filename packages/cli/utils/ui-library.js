@@ -0,0 +1,99 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileLayer } from './file-layer.js';
+import { WorkEaseError } from './errors.js';
+import { ProjectConfig } from './project-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The UI primitives (button, table, form, ...) generated code imports from
+// @/components/ui, and `workease ui` lists and adds. templates/ui/index.json
+// describes each one with the npm packages it imports and the other
+// primitives it builds on:
+//   { "calendar": { "description": "...", "dependencies": ["react-day-picker"], "components": ["button"] } }
+// A primitive is src/components/ui/<name>.tsx unless it lists its `files`
+// (a project without src/ gets them at the root), and `hidden` ones are only
+// added as what others build on. Package versions come from
+// templates/packages.json, shared with the generators.
+export class UiLibrary {
+  static dir = path.join(__dirname, '..', 'templates', 'ui');
+
+  static packagesPath = path.join(__dirname, '..', 'templates', 'packages.json');
+
+  static async components() {
+    return (await fs.readJSON(path.join(this.dir, 'index.json'))).components;
+  }
+
+  static async versions() {
+    return fs.readJSON(this.packagesPath);
+  }
+
+  // The primitives `workease ui list` shows: [{ name, description, files, dependencies, components }]
+  static async list() {
+    return Object.entries(await this.components())
+      .filter(([, component]) => !component.hidden)
+      .map(([name, component]) => ({ name, ...this.describe(name, component) }));
+  }
+
+  static describe(name, component) {
+    return {
+      description: component.description || '',
+      files: (component.files || [`src/components/ui/${name}.tsx`]).map(file => ({
+        path: file,
+        source: path.join(this.dir, path.basename(file))
+      })),
+      dependencies: component.dependencies || [],
+      components: component.components || []
+    };
+  }
+
+  // Whether the project has every file of the primitive
+  static async installed(component, root = FileLayer.root) {
+    for (const file of component.files) {
+      if (!await FileLayer.pathExists(path.join(root, await ProjectConfig.sourcePath(file.path, root)))) return false;
+    }
+    return true;
+  }
+
+  // The primitives with everything they build on, dependencies first:
+  // [{ name, description, files: [{ path, source }], dependencies, components }]
+  static async resolve(names) {
+    const components = await this.components();
+    const resolved = [];
+
+    const visit = name => {
+      if (resolved.some(entry => entry.name === name)) return;
+      const component = components[name];
+      if (!component) {
+        throw WorkEaseError.invalidInput(`Unknown UI component: ${name}`, {
+          hint: `Use one of ${Object.keys(components).filter(key => !components[key].hidden).join(', ')}`
+        });
+      }
+      (component.components || []).forEach(visit);
+      resolved.push({ name, ...this.describe(name, component) });
+    };
+
+    names.forEach(visit);
+    return resolved;
+  }
+
+  // { package: version } for the given package names
+  static async packages(names) {
+    const versions = await this.versions();
+    const unknown = names.filter(name => !versions[name]);
+    if (unknown.length > 0) {
+      throw WorkEaseError.invalidInput(`No known version of ${unknown.join(', ')}`, {
+        hint: 'Declare the packages with their version: { "packages": { "name": "^1.0.0" } }'
+      });
+    }
+    return Object.fromEntries(names.map(name => [name, versions[name]]));
+  }
+
+  // npm packages the primitives (and the ones they build on) import, with versions
+  static async dependencies(names) {
+    const components = await this.resolve(names);
+    return this.packages([...new Set(components.flatMap(component => component.dependencies))]);
+  }
+}